@@ -4,6 +4,8 @@
 importScripts(
   'lib/logger.js',
   'lib/utils.js',
+  'lib/secrets.js',
+  'lib/bencode.js',
   'lib/controller_communicator.js',
   'controller_actions.js'
 );
@@ -1,4 +1,4 @@
-/* global stopEvent, communicator, chrome, registerEventListener */
+/* global stopEvent, communicator, chrome, registerEventListener, validateLabelName, normalizeLabelName, findPreset, findDefaultPreset, presetAddParams, ADVANCED_ADD_OPTIONS, validateAddOptions */
 ( function ( window, document ) {
   debugLog('debug', 'Content handler script loaded');
   let cookies = {};
@@ -87,7 +87,7 @@
 
   // Initialize cookies
   safeSendMessage( {
-    action: "getCookies",
+    method: 'cookies-get',
     url: window.location.href
   }, function ( response ) {
     if (response?.cookies) {
@@ -244,7 +244,7 @@
             // Test basic communication channel
             setTimeout(() => {
               if (!connected) {
-                safeSendMessage({ method: 'storage-get-connections' }, function(response) {
+                safeSendMessage({ method: 'storage-get-link_regex' }, function(response) {
                   log('Communication test response:', response);
                   if (response !== undefined) {
                     log('Communication channel verified');
@@ -465,10 +465,18 @@
                 // Check if it's the "already in session" case
                 if (response.error.includes('already in session')) {
                     log('Torrent already exists in session');
-                    showToast('Torrent already exists in Deluge', 'warning', 5000);
+                    showToast(response.duplicate
+                        ? `Already in Deluge: ${escapeHTML(response.duplicate.summary)}`
+                        : 'Torrent already exists in Deluge', 'warning', 5000);
+                } else if (response.locked) {
+                    showToast('Your Deluge passwords are locked - the torrent was queued. Unlock them from the toolbar button.', 'warning', 8000);
+                } else if (response.queued) {
+                    showToast('Deluge is unreachable - the torrent was queued and will be retried', 'warning', 5000);
                 } else {
-                    showToast(`Error adding torrent: ${response.error}`, 'error', 5000);
+                    showToast(`Error adding torrent: ${escapeHTML(response.error)}`, 'error', 10000, serverActions(response.actions));
                 }
+            } else if (response?.success) {
+                showToast('Torrent added successfully', 'success', 8000, serverActions(response.actions));
             }
         });
     }
@@ -551,63 +559,245 @@
     overlay.classList.add('displayed');
     log('Modal displayed with loading state');
 
-    // Get plugin info with timeout
-    log('Requesting plugin info...');
+    // once per dialog, not per render: switching servers renders it again
+    overlay.addEventListener('click', hideModal);
+    document.addEventListener('keydown', closeOnEscape);
+
+    // value of the "New label…" entry, not something anyone names a label
+    const NEW_LABEL = '__new_label__';
+
+    // Servers the torrent can be sent to; null means the default server
+    var servers = [];
+    var selectedServer = req.server || null;
+    // Routing rule matching this link, used to pre-fill the form
+    var matchedRule = null;
+    // Presets from the options page and the one currently filling the form
+    var presets = [];
+    var selectedPreset = null;
+
     safeSendMessage({
-        method: 'plugins-getinfo'
-    }, function(response) {
-        log('Plugin info response received:', response);
-        
-        if (!response || response.error) {
-            warn('Plugin info request failed:', response?.error || 'No response');
-            renderModalContent({
-                plugins: {},
-                config: {},
-                defaultLabel: ''
+        method: 'rules-match',
+        url: req.url,
+        domain: req.domain || SITE_META.DOMAIN
+    }, function(ruleResponse) {
+        matchedRule = ruleResponse?.value || null;
+        log('Matched routing rule:', matchedRule);
+
+        safeSendMessage({
+            method: 'servers-list'
+        }, function(serversResponse) {
+            servers = serversResponse?.value || [];
+
+            safeSendMessage({
+                method: 'presets-list'
+            }, function(presetsResponse) {
+                presets = presetsResponse?.value || [];
+                // the default preset only applies when no routing rule matched
+                selectedPreset = matchedRule ? null : findDefaultPreset(presets);
+                log('Presets:', presets, 'selected:', selectedPreset);
+
+                const ruleServer = matchedRule?.server || selectedPreset?.server;
+                if (!selectedServer && ruleServer && servers.some(server => server.id === ruleServer)) {
+                    selectedServer = ruleServer;
+                }
+                if (!selectedServer) {
+                    const defaultServer = servers.find(server => server.is_default);
+                    selectedServer = defaultServer ? defaultServer.id : null;
+                }
+                loadServerOptions();
             });
+        });
+    });
+
+    // Torrent metadata from the server: undefined while loading, null if unavailable
+    var preview;
+    var previewError = null;
+
+    function loadPreview() {
+        const server = selectedServer;
+        preview = undefined;
+        previewError = null;
+
+        safeSendMessage({
+            method: 'torrent-preview',
+            url: req.url,
+            domain: req.domain || SITE_META.DOMAIN,
+            server: server
+        }, function(response) {
+            // the user may have switched servers in the meantime
+            if (server !== selectedServer) return;
+            log('Torrent preview received:', response);
+            preview = response?.value || null;
+            previewError = response?.error || null;
+            renderPreview();
+        });
+    }
+
+    function renderPreview() {
+        const container = modal.querySelector('.torrent-preview');
+        if (!container) return;
+
+        if (preview === undefined) {
+            container.innerHTML = '<div class="preview-status">Loading torrent info...</div>';
+            return;
+        }
+        if (!preview) {
+            container.innerHTML = `<div class="preview-status">Torrent info unavailable${previewError ? ': ' + escapeHTML(previewError) : ''}</div>`;
             return;
         }
 
-        // Get default label if we have plugin data
-        if (response.value?.plugins?.Label?.length > 0) {
-            safeSendMessage({
-                method: 'storage-get-default_label'
-            }, function(labelResponse) {
-                log('Default label response received:', labelResponse);
-                const data = {
-                    ...response.value,
-                    defaultLabel: labelResponse?.value || ''
-                };
-                renderModalContent(data);
+        container.innerHTML = `
+            ${preview.existing ? `
+            <div class="duplicate-note">
+                <div>Already in Deluge: <b>${escapeHTML(preview.existing.summary)}</b></div>
+                <label><input type="radio" name="duplicate_action" value="skip" checked/> Skip it</label>
+                <label><input type="radio" name="duplicate_action" value="update"/> Apply the label and location below to it</label>
+            </div>
+            ` : ''}
+            <div class="preview-name" title="${escapeHTML(preview.name)}">${escapeHTML(preview.name)}</div>
+            <div class="preview-status">${formatSize(preview.total_size)} in ${preview.files.length} file(s)</div>
+            ${preview.files.length ? renderFileTree(buildFileTree(preview.files)) : `
+            <div class="preview-status">The file list is available once Deluge has fetched the metadata.</div>
+            `}
+        `;
+
+        // folder checkboxes toggle everything below them
+        container.querySelectorAll('input.dir-toggle').forEach(toggle => {
+            toggle.addEventListener('change', function() {
+                toggle.closest('li').querySelectorAll('input[type="checkbox"]').forEach(box => {
+                    box.checked = toggle.checked;
+                });
+            });
+        });
+    }
+
+    function buildFileTree(files) {
+        const root = { dirs: {}, files: [] };
+        files.forEach(file => {
+            const parts = file.path.split('/');
+            let node = root;
+            parts.slice(0, -1).forEach(part => {
+                node = node.dirs[part] = node.dirs[part] || { dirs: {}, files: [] };
             });
-        } else {
-            renderModalContent(response.value || {
+            node.files.push(Object.assign({ name: parts[parts.length - 1] }, file));
+        });
+        return root;
+    }
+
+    function renderFileTree(node) {
+        return `<ul class="file-tree">
+            ${Object.entries(node.dirs).map(([name, child]) => `
+            <li>
+                <label><input type="checkbox" class="dir-toggle" checked/> ${escapeHTML(name)}/</label>
+                ${renderFileTree(child)}
+            </li>`).join('')}
+            ${node.files.map(file => `
+            <li class="file">
+                <label title="${escapeHTML(file.path)}">
+                    <input type="checkbox" name="file[${file.index}]" checked/>
+                    ${escapeHTML(file.name)} <small>(${formatSize(file.size)})</small>
+                </label>
+                <select name="priority[${file.index}]">
+                    <option value="1">Low</option>
+                    <option value="4" selected>Normal</option>
+                    <option value="7">High</option>
+                </select>
+            </li>`).join('')}
+        </ul>`;
+    }
+
+    function loadServerOptions() {
+        loadPreview();
+
+        // Get plugin info with timeout
+        log('Requesting plugin info for server:', selectedServer);
+        safeSendMessage({
+            method: 'plugins-getinfo',
+            server: selectedServer
+        }, function(response) {
+            log('Plugin info response received:', response);
+        
+            if (!response || response.error) {
+                warn('Plugin info request failed:', response?.error || 'No response');
+            }
+
+            renderModalContent(response?.value || {
                 plugins: {},
-                config: {},
-                defaultLabel: ''
+                config: {}
             });
-        }
-    });
+        });
+    }
 
     function renderModalContent(data) {
         try {
             log('Starting modal content render with:', data);
+
+            // A picked preset comes first, then a matching routing rule, then the server defaults
+            const rule = matchedRule || {};
+            const chosen = selectedPreset ? presetAddParams(selectedPreset) : { plugins: {}, options: {} };
+            const selectedLabel = chosen.plugins.Label || rule.label || '';
+            const downloadLocation = chosen.options.download_location || rule.download_location || data.config?.download_location || '';
+            const addPaused = typeof chosen.options.add_paused === 'boolean' ? chosen.options.add_paused
+                : typeof rule.add_paused === 'boolean' ? rule.add_paused : !!data.config?.add_paused;
+            const explicitMovePath = chosen.options.move_completed_path || rule.move_completed_path || '';
+            const moveCompleted = !!explicitMovePath || !!data.config?.move_completed;
+            const moveCompletedPath = explicitMovePath || data.config?.move_completed_path || '';
+            const labels = (data.plugins?.Label || []).slice();
+            // a preset may name a label this server doesn't list (yet)
+            if (selectedLabel && !labels.includes(selectedLabel)) {
+                labels.push(selectedLabel);
+            }
             
             modal.innerHTML = `
                 <form action="javascript:void(0);" class="delugesiphon-form">
                     <h3>${req.info?.name || 'Add Torrent'}</h3>
                     <div class="note">${req.url}</div>
                     <input type="hidden" name="url" value="${req.url}"/>
+
+                    ${matchedRule ? `
+                    <div class="form-group rule-note">
+                        Routing rule applied: <b>${escapeHTML(matchedRule.pattern)}</b>
+                    </div>
+                    ` : ''}
+
+                    <div class="form-group torrent-preview"></div>
+
+                    ${presets.length ? `
+                    <div class="form-group">
+                        <label>Preset:</label>
+                        <select name="preset">
+                            <option value="">No preset</option>
+                            ${presets.map(preset =>
+                                `<option value="${escapeHTML(preset.id)}" ${preset.id === selectedPreset?.id ? 'selected' : ''}>${escapeHTML(preset.name)}</option>`
+                            ).join('\n')}
+                        </select>
+                    </div>
+                    ` : ''}
+
+                    ${servers.length > 1 ? `
+                    <div class="form-group">
+                        <label>Server:</label>
+                        <select name="server">
+                            ${servers.map(server =>
+                                `<option value="${escapeHTML(server.id)}" ${server.id === selectedServer ? 'selected' : ''}>${escapeHTML(server.name)}${server.is_default ? ' (default)' : ''}</option>`
+                            ).join('\n')}
+                        </select>
+                    </div>
+                    ` : ''}
                     
-                    ${data.plugins?.Label?.length > 0 ? `
+                    ${data.plugins?.EnabledPlugins?.some(plugin => /^label(plus)?$/i.test(plugin)) || data.plugins?.Label?.length > 0 ? `
                     <div class="form-group">
                         <label>Label:</label>
                         <select name="plugins[Label]">
                             <option value="">No Label</option>
-                            ${data.plugins.Label.map(label => 
-                                `<option value="${label}" ${label === data.defaultLabel ? 'selected' : ''}>${label}</option>`
+                            ${labels.map(label => 
+                                `<option value="${escapeHTML(label)}" ${label === selectedLabel ? 'selected' : ''}>${escapeHTML(label)}</option>`
                             ).join('\n')}
+                            <option value="${NEW_LABEL}">New label…</option>
                         </select>
+                        <input type="text" name="new_label" class="new-label" placeholder="new label name" style="display: none"/>
+                        <div class="field-error new-label-error"></div>
+                        <div class="note label-options"></div>
                     </div>
                     ` : ''}
                     
@@ -617,7 +807,7 @@
                         <select name="plugins[AutoAdd]">
                             <option value="">Default Location</option>
                             ${data.plugins.AutoAdd.map(path => 
-                                `<option value="${path}">${path}</option>`
+                                `<option value="${escapeHTML(path)}">${escapeHTML(path)}</option>`
                             ).join('\n')}
                         </select>
                     </div>
@@ -625,29 +815,38 @@
 
                     <div class="form-group">
                         <label>Download Location:</label>
-                        <input type="text" name="options[download_location]" value="${data.config?.download_location || ''}"/>
+                        <div class="path-field">
+                            <input type="text" name="options[download_location]" value="${escapeHTML(downloadLocation)}" list="delugesiphon-path-suggestions" autocomplete="off"/>
+                            <button type="button" class="pin-path" title="Pin this path">☆</button>
+                        </div>
+                        <div class="field-warning path-warning"></div>
+                        <datalist id="delugesiphon-path-suggestions"></datalist>
                     </div>
 
                     <div class="form-group">
                         <label>
-                            <input type="checkbox" name="options[add_paused]" ${data.config?.add_paused ? 'checked' : ''}/>
+                            <input type="checkbox" name="options[add_paused]" ${addPaused ? 'checked' : ''}/>
                             Add Paused
                         </label>
                     </div>
                     
                     <div class="form-group">
                         <label>
-                            <input type="checkbox" name="options[move_completed]" ${data.config?.move_completed ? 'checked' : ''}/>
+                            <input type="checkbox" name="options[move_completed]" ${moveCompleted ? 'checked' : ''}/>
                             Move on Completion
                         </label>
                     </div>
 
-                    ${data.config?.move_completed ? `
-                    <div class="form-group">
+                    <div class="form-group move-completed-path" ${moveCompleted ? '' : 'style="display: none"'}>
                         <label>Move Completed To:</label>
-                        <input type="text" name="options[move_completed_path]" value="${data.config?.move_completed_path || ''}"/>
+                        <input type="text" name="options[move_completed_path]" value="${escapeHTML(moveCompletedPath)}" list="delugesiphon-path-suggestions" autocomplete="off" ${moveCompleted ? '' : 'disabled'}/>
                     </div>
-                    ` : ''}
+
+                    <details class="form-group advanced-options">
+                        <summary>Advanced</summary>
+                        ${renderAdvancedOptions(chosen.options, data.config || {})}
+                        <div class="field-error advanced-error"></div>
+                    </details>
                     
                     <div class="actions">
                         <button type="button" class="cancel">Cancel</button>
@@ -657,7 +856,14 @@
             `;
             
             log('Modal content rendered, setting up event listeners...');
+            renderPreview();
             setupModalEventListeners();
+            loadPathSuggestions(data.config?.download_location);
+
+            // a preset's or rule's path beats the label's, but still show what the label does
+            if (selectedLabel) {
+                loadLabelOptions(selectedLabel, !explicitMovePath);
+            }
             
         } catch (e) {
             warn('Error rendering modal content:', e);
@@ -679,19 +885,246 @@
         }
     }
 
+    // Fills the download location's autocomplete and tells the user when a path
+    // has never been used on this server, which is usually a typo
+    function loadPathSuggestions(defaultPath) {
+        const server = selectedServer;
+        const form = modal.querySelector('form');
+        const input = form?.querySelector('input[name="options[download_location]"]');
+        if (!input) return;
+
+        const datalist = form.querySelector('#delugesiphon-path-suggestions');
+        const warning = form.querySelector('.path-warning');
+        const pinButton = form.querySelector('.pin-path');
+        let paths = null;
+
+        function update() {
+            const path = input.value.trim();
+            const pinned = !!paths && paths.pinned.includes(path);
+            pinButton.textContent = pinned ? '★' : '☆';
+            pinButton.title = pinned ? 'Unpin this path' : 'Pin this path';
+            pinButton.disabled = !paths || !path;
+
+            const known = paths && [defaultPath, paths.default]
+                .concat(paths.pinned, paths.recent, paths.existing, paths.watchdirs)
+                .includes(path);
+            warning.textContent = paths && path && !known
+                ? 'This path has not been used on this server before. Check that it exists.'
+                : '';
+        }
+
+        input.addEventListener('input', update);
+        pinButton.addEventListener('click', function() {
+            const path = input.value.trim();
+            const pinned = !paths.pinned.includes(path);
+            paths.pinned = pinned ? paths.pinned.concat([path]) : paths.pinned.filter(pin => pin !== path);
+            safeSendMessage({ method: 'paths-pin', server: server, path: path, pinned: pinned });
+            renderSuggestions();
+            update();
+        });
+
+        function renderSuggestions() {
+            const seen = new Set();
+            const option = note => path => {
+                if (seen.has(path)) return '';
+                seen.add(path);
+                return `<option value="${escapeHTML(path)}" label="${note}"></option>`;
+            };
+            datalist.innerHTML = [
+                ...paths.pinned.map(option('pinned')),
+                ...paths.recent.map(option('recent')),
+                ...paths.watchdirs.map(option('watch folder')),
+                ...paths.existing.map(option('in use'))
+            ].join('');
+        }
+
+        update();
+        safeSendMessage({
+            method: 'paths-suggest',
+            server: server
+        }, function(response) {
+            // the form may have been re-rendered for another server or preset
+            if (server !== selectedServer || !input.isConnected) return;
+            if (!response?.value) {
+                log('No path suggestions:', response?.error);
+                return;
+            }
+            log('Path suggestions received:', response.value);
+            paths = response.value;
+            renderSuggestions();
+            update();
+        });
+    }
+
+    // One field per advanced add option, pre-filled from the preset or else the
+    // server's defaults. Preset values are marked so they are always sent.
+    function renderAdvancedOptions(chosen, config) {
+        return Object.entries(ADVANCED_ADD_OPTIONS).map(([key, spec]) => {
+            const explicit = chosen[key] !== undefined;
+            const value = explicit ? chosen[key] : config[spec.config];
+            const attrs = `name="advanced[${key}]" data-explicit="${explicit ? 1 : ''}"`;
+
+            if (spec.type === 'boolean') {
+                return `
+                <label class="advanced-option">
+                    <input type="checkbox" ${attrs} ${value ? 'checked' : ''} data-default="${value ? 1 : ''}"/>
+                    ${escapeHTML(spec.label)}
+                </label>`;
+            }
+            return `
+                <label class="advanced-option">
+                    ${escapeHTML(spec.label)}
+                    <input type="number" ${attrs} min="${spec.min}" step="${spec.type === 'integer' ? 1 : 'any'}"
+                        value="${value ?? ''}" data-default="${value ?? ''}"/>
+                </label>`;
+        }).join('');
+    }
+
+    // Reads back the advanced options that differ from the server defaults; sending
+    // the defaults would override whatever the torrent's label sets
+    function collectAdvancedOptions(form) {
+        const options = {};
+        form.querySelectorAll('[name^="advanced["]').forEach(input => {
+            const key = input.name.match(/advanced\[(.*?)\]/)[1];
+            if (input.type === 'checkbox') {
+                if (input.dataset.explicit || input.checked !== !!input.dataset.default) {
+                    options[key] = input.checked;
+                }
+            } else if (input.value.trim() !== '' && (input.dataset.explicit || input.value.trim() !== input.dataset.default)) {
+                options[key] = Number(input.value);
+            }
+        });
+        return options;
+    }
+
+    // Summarises what the Label plugin will do to torrents given this label
+    function describeLabelOptions(options) {
+        const parts = [];
+        const speed = value => (value < 0 ? 'unlimited' : `${value} KiB/s`);
+
+        if (options.apply_max) {
+            parts.push(`limits ↓ ${speed(options.max_download_speed)} ↑ ${speed(options.max_upload_speed)}`);
+        }
+        if (options.apply_queue && options.stop_at_ratio) {
+            parts.push(`${options.remove_at_ratio ? 'removed' : 'stopped'} at ratio ${options.stop_ratio}`);
+        }
+        if (options.apply_move_completed && options.move_completed) {
+            parts.push(`moved to ${options.move_completed_path} when complete`);
+        }
+        if (options.auto_add && options.auto_add_trackers?.length) {
+            parts.push(`picked automatically for ${options.auto_add_trackers.join(', ')}`);
+        }
+
+        return parts.length ? `This label: ${parts.join('; ')}` : '';
+    }
+
+    // Shows the label's settings under the select and, when asked, fills the
+    // move-completed fields in from them
+    function loadLabelOptions(label, prefill) {
+        const form = modal.querySelector('form');
+        const note = form?.querySelector('.label-options');
+        if (!note) return;
+
+        note.textContent = '';
+        if (!label || label === NEW_LABEL) return;
+
+        safeSendMessage({
+            method: 'label-getoptions',
+            server: selectedServer,
+            label: label
+        }, function(response) {
+            const options = response?.value;
+            // the user may have picked another label in the meantime
+            if (!options || form.querySelector('select[name="plugins[Label]"]').value !== label) return;
+
+            log('Label options received:', label, options);
+            note.textContent = describeLabelOptions(options);
+
+            if (prefill && options.apply_move_completed) {
+                form.querySelector('input[name="options[move_completed]"]').checked = !!options.move_completed;
+                form.querySelector('input[name="options[move_completed_path]"]').value = options.move_completed_path || '';
+                toggleMoveCompletedPath(form);
+            }
+        });
+    }
+
+    function toggleMoveCompletedPath(form) {
+        const enabled = form.querySelector('input[name="options[move_completed]"]').checked;
+        const group = form.querySelector('.move-completed-path');
+        group.style.display = enabled ? '' : 'none';
+        group.querySelector('input').disabled = !enabled;
+    }
+
     function setupModalEventListeners() {
         const form = modal.querySelector('form');
         if (!form) return;
 
+        const moveCompletedInput = form.querySelector('input[name="options[move_completed]"]');
+        if (moveCompletedInput) {
+            moveCompletedInput.addEventListener('change', function() {
+                toggleMoveCompletedPath(form);
+            });
+        }
+
+        // "New label…" swaps in a name field; the label is created on submit
+        const labelSelect = form.querySelector('select[name="plugins[Label]"]');
+        const newLabelInput = form.querySelector('input[name="new_label"]');
+        const newLabelError = form.querySelector('.new-label-error');
+        if (labelSelect && newLabelInput) {
+            labelSelect.addEventListener('change', function() {
+                const creating = labelSelect.value === NEW_LABEL;
+                newLabelInput.style.display = creating ? '' : 'none';
+                newLabelError.textContent = '';
+                if (creating) newLabelInput.focus();
+                loadLabelOptions(labelSelect.value, true);
+            });
+            newLabelInput.addEventListener('input', function() {
+                newLabelError.textContent = '';
+            });
+        }
+
         form.addEventListener('submit', function(e) {
             e.preventDefault();
-            hideModal();
-            
+
             const formData = new FormData(e.target);
+            let newLabel = null;
+
+            const advancedOptions = collectAdvancedOptions(form);
+            const invalidOption = validateAddOptions(advancedOptions);
+            if (invalidOption) {
+                const advanced = form.querySelector('.advanced-options');
+                advanced.open = true;
+                advanced.querySelector('.advanced-error').textContent = invalidOption;
+                return;
+            }
+
+            if (formData.get('plugins[Label]') === NEW_LABEL) {
+                const existing = Array.from(labelSelect.options).map(option => option.value);
+                const invalid = validateLabelName(formData.get('new_label'), existing);
+                if (invalid) {
+                    newLabelError.textContent = invalid;
+                    newLabelInput.focus();
+                    return;
+                }
+                newLabel = normalizeLabelName(formData.get('new_label'));
+            }
+
+            hideModal();
+
+            if (preview?.existing && formData.get('duplicate_action') === 'skip') {
+                log('Skipping torrent already in session:', preview.existing);
+                showToast(`Skipped, already in Deluge: ${escapeHTML(preview.existing.summary)}`, 'warning', 5000);
+                return;
+            }
+
             const data = {
                 method: 'addlink-todeluge',
                 url: formData.get('url'),
                 domain: req.domain,
+                server: selectedServer,
+                // the form was pre-filled from the routing rules already
+                skip_rules: true,
+                duplicate_action: formData.get('duplicate_action') || undefined,
                 options: {},
                 plugins: {}
             };
@@ -708,21 +1141,48 @@
                     }
                 }
             }
+            if (newLabel) {
+                data.plugins.Label = newLabel;
+            }
+            Object.assign(data.options, advancedOptions);
+            // an unticked box is left out of the form, which would let the label's setting win
+            if (moveCompletedInput && !moveCompletedInput.checked) {
+                data.options.move_completed = false;
+            }
+
+            // Unticked files are skipped (priority 0), in Deluge's file index order
+            if (preview?.files?.length) {
+                data.options.file_priorities = preview.files.map(file => (
+                    formData.get(`file[${file.index}]`) ? Number(formData.get(`priority[${file.index}]`)) : 0
+                ));
+            }
 
             // ADD THE FUCKING COOKIES
             data.cookies = window.lastTorrentCookies;
 
             log('Submitting form data:', data);
 
-            // Save selected label as default if one was chosen
-            if (data.plugins.Label) {
-                safeSendMessage({
-                    method: 'storage-set',
-                    key: 'default_label',
-                    value: data.plugins.Label
-                });
+            if (!newLabel) {
+                sendAdd(data);
+                return;
             }
 
+            // the label has to exist before label.set_torrent can use it
+            safeSendMessage({
+                method: 'label-create',
+                server: selectedServer,
+                name: newLabel
+            }, function(response) {
+                if (response?.error) {
+                    showToast(`Could not create label "${escapeHTML(newLabel)}": ${escapeHTML(response.error)}`, 'error', 8000);
+                    return;
+                }
+                log('Created label:', newLabel);
+                sendAdd(data);
+            });
+        });
+
+        function sendAdd(data) {
             // Show a loading toast
             const loadingToastId = showToast('Adding torrent to Deluge...', 'info', 0);
 
@@ -737,15 +1197,23 @@
                     // Check if it's the "already in session" case
                     if (response.error.includes('already in session')) {
                         log('Torrent already exists in session');
-                        showToast('Torrent already exists in Deluge', 'warning', 5000);
+                        showToast(response.duplicate
+                            ? `Already in Deluge: ${escapeHTML(response.duplicate.summary)}`
+                            : 'Torrent already exists in Deluge', 'warning', 5000);
+                    } else if (response.locked) {
+                        showToast('Your Deluge passwords are locked - the torrent was queued. Unlock them from the toolbar button.', 'warning', 8000);
+                    } else if (response.queued) {
+                        showToast('Deluge is unreachable - the torrent was queued and will be retried', 'warning', 5000);
                     } else {
-                        showToast(`Error adding torrent: ${response.error}`, 'error', 5000);
+                        showToast(`Error adding torrent: ${escapeHTML(response.error)}`, 'error', 10000, serverActions(response.actions));
                     }
                 } else {
                     log('Torrent added successfully');
                     
                     // Build success message with details
-                    let successMsg = 'Torrent added successfully';
+                    let successMsg = data.duplicate_action === 'update'
+                        ? 'Existing torrent updated'
+                        : 'Torrent added successfully';
                     
                     // Add label info if available
                     if (data.plugins.Label) {
@@ -758,10 +1226,39 @@
                     }
                     
                     // Show success toast
-                    showToast(successMsg, 'success', 5000);
+                    showToast(escapeHTML(successMsg), 'success', 8000, serverActions(response?.actions));
                 }
             });
-        });
+        }
+
+        // Picking a preset re-fills the form, on the preset's server if it has one
+        const presetSelect = form.querySelector('select[name="preset"]');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', function() {
+                selectedPreset = findPreset(presets, presetSelect.value);
+                if (selectedPreset?.server && servers.some(server => server.id === selectedPreset.server)) {
+                    selectedServer = selectedPreset.server;
+                }
+                const loading = document.createElement('div');
+                loading.className = 'loading';
+                loading.textContent = 'Loading options...';
+                form.appendChild(loading);
+                loadServerOptions();
+            });
+        }
+
+        // Switching servers reloads labels, paths and defaults for that server
+        const serverSelect = form.querySelector('select[name="server"]');
+        if (serverSelect) {
+            serverSelect.addEventListener('change', function() {
+                selectedServer = serverSelect.value;
+                const loading = document.createElement('div');
+                loading.className = 'loading';
+                loading.textContent = 'Loading options...';
+                form.appendChild(loading);
+                loadServerOptions();
+            });
+        }
 
         // Handle cancel button
         const cancelBtn = form.querySelector('button.cancel');
@@ -769,26 +1266,327 @@
             cancelBtn.addEventListener('click', hideModal);
         }
 
-        // Handle overlay click
-        overlay.addEventListener('click', hideModal);
-        
-        // Handle escape key
-        document.addEventListener('keydown', function escapeHandler(e) {
-            if (e.key === 'Escape') {
-                hideModal();
-                document.removeEventListener('keydown', escapeHandler);
+    }
+
+    function closeOnEscape(e) {
+        if (e.key === 'Escape') {
+            hideModal();
+        }
+    }
+
+    function hideModal() {
+        log('Hiding modal');
+        modal.classList.remove('displayed');
+        overlay.classList.remove('displayed');
+        modal.innerHTML = '';
+        overlay.removeEventListener('click', hideModal);
+        document.removeEventListener('keydown', closeOnEscape);
+    }
+  }
+
+  // Every torrent link on the page, with whatever name, size and seeders
+  // can be picked up from the link itself or the row it sits in
+  function scan_torrent_links() {
+    const regex = new RegExp(SITE_META.TORRENT_REGEX);
+    const seen = new Set();
+    const links = [];
+
+    document.querySelectorAll('a[href]').forEach(anchor => {
+      if (anchor.closest('.delugesiphon-modal')) return;
+
+      const url = anchor.href;
+      if (!url || seen.has(url) || !regex.test(url)) return;
+      seen.add(url);
+
+      const row = anchor.closest('tr, li, article, .torrent, .row') || anchor.parentElement;
+      links.push({
+        url: url,
+        name: torrent_link_name(anchor, row, url),
+        size: row ? (row.textContent.match(/\b\d+(?:[.,]\d+)?\s?(?:[KMGT]i?B)\b/i) || [])[0] || '' : '',
+        seeders: row ? torrent_link_seeders(row) : ''
+      });
+    });
+
+    log('Scanned torrent links:', links);
+    return links;
+  }
+
+  function torrent_link_name(anchor, row, url) {
+    const text = (anchor.textContent || anchor.title || '').trim();
+    // download links are often just an icon or "DL", the title is elsewhere in the row
+    if (text.length > 3 && !/^(download|dl|torrent|magnet)$/i.test(text)) return text;
+
+    if (row) {
+      let best = '';
+      row.querySelectorAll('a').forEach(other => {
+        const otherText = (other.textContent || '').trim();
+        if (otherText.length > best.length) best = otherText;
+      });
+      if (best.length > 3) return best;
+    }
+
+    const dn = url.match(/[?&]dn=([^&]+)/);
+    if (dn) {
+      try {
+        return decodeURIComponent(dn[1].replace(/\+/g, ' '));
+      } catch (e) {
+        return dn[1];
+      }
+    }
+    return text || url;
+  }
+
+  function torrent_link_seeders(row) {
+    const cell = Array.from(row.querySelectorAll('[class], [title]')).find(element =>
+      /seed/i.test(element.className + ' ' + (element.title || '')) && /^\s*[\d,]+\s*$/.test(element.textContent)
+    );
+    return cell ? cell.textContent.trim() : '';
+  }
+
+  function showBatchModal() {
+    var modal = document.getElementById('delugesiphon-modal-' + chrome.runtime.id) || modal_init();
+    var overlay = document.getElementById('delugesiphon-backdrop-' + chrome.runtime.id);
+    if (!modal) {
+        warn('Failed to initialize modal');
+        return;
+    }
+
+    const links = scan_torrent_links();
+    if (!links.length) {
+        showToast('No torrent links found on this page', 'info', 5000);
+        return;
+    }
+
+    modal.innerHTML = `
+        <form action="javascript:void(0);">
+            <h3>Send torrents to Deluge</h3>
+            <div class="loading">Loading options...</div>
+        </form>
+    `;
+    modal.classList.add('displayed');
+    overlay.classList.add('displayed');
+
+    // once per dialog, not per render: switching servers renders it again
+    overlay.addEventListener('click', hideModal);
+    document.addEventListener('keydown', closeOnEscape);
+
+    var servers = [];
+    var selectedServer = null;
+
+    safeSendMessage({
+        method: 'servers-list'
+    }, function(serversResponse) {
+        servers = serversResponse?.value || [];
+        const defaultServer = servers.find(server => server.is_default);
+        selectedServer = defaultServer ? defaultServer.id : null;
+        loadServerOptions();
+    });
+
+    function loadServerOptions() {
+        safeSendMessage({
+            method: 'plugins-getinfo',
+            server: selectedServer
+        }, function(response) {
+            log('Batch options received:', response);
+            renderBatchContent(response?.value || { plugins: {}, config: {} });
+        });
+    }
+
+    function renderBatchContent(data) {
+        // keep ticks made before switching servers
+        const previous = modal.querySelector('form.batch-form');
+        const checked = previous
+            ? new Set(Array.from(previous.querySelectorAll('input[name="link"]:checked')).map(input => input.value))
+            : null;
+
+        modal.innerHTML = `
+            <form action="javascript:void(0);" class="delugesiphon-form batch-form">
+                <h3>Send torrents to Deluge</h3>
+                <div class="note">${links.length} torrent link(s) found on ${escapeHTML(SITE_META.DOMAIN)}</div>
+
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" class="select-all" checked/>
+                        Select all
+                    </label>
+                </div>
+
+                <div class="form-group batch-list">
+                    ${links.map((link, index) => `
+                    <label class="batch-item" title="${escapeHTML(link.url)}">
+                        <input type="checkbox" name="link" value="${index}" ${!checked || checked.has(String(index)) ? 'checked' : ''}/>
+                        <span class="batch-name">${escapeHTML(link.name)}</span>
+                        <span class="batch-meta">${[link.size, link.seeders ? link.seeders + ' seeders' : ''].filter(Boolean).map(escapeHTML).join(' &middot; ')}</span>
+                    </label>
+                    `).join('')}
+                </div>
+
+                ${servers.length > 1 ? `
+                <div class="form-group">
+                    <label>Server:</label>
+                    <select name="server">
+                        ${servers.map(server =>
+                            `<option value="${escapeHTML(server.id)}" ${server.id === selectedServer ? 'selected' : ''}>${escapeHTML(server.name)}${server.is_default ? ' (default)' : ''}</option>`
+                        ).join('\n')}
+                    </select>
+                </div>
+                ` : ''}
+
+                ${data.plugins?.Label?.length > 0 ? `
+                <div class="form-group">
+                    <label>Label:</label>
+                    <select name="plugins[Label]">
+                        <option value="">No Label</option>
+                        ${data.plugins.Label.map(label =>
+                            `<option value="${escapeHTML(label)}">${escapeHTML(label)}</option>`
+                        ).join('\n')}
+                    </select>
+                </div>
+                ` : ''}
+
+                <div class="form-group">
+                    <label>Download Location:</label>
+                    <input type="text" name="options[download_location]" value="${escapeHTML(data.config?.download_location || '')}"/>
+                </div>
+
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" name="options[add_paused]" ${data.config?.add_paused ? 'checked' : ''}/>
+                        Add Paused
+                    </label>
+                </div>
+
+                <div class="actions">
+                    <button type="button" class="cancel">Cancel</button>
+                    <button type="submit">Send selected</button>
+                </div>
+            </form>
+        `;
+
+        setupBatchEventListeners();
+    }
+
+    function setupBatchEventListeners() {
+        const form = modal.querySelector('form');
+        const boxes = Array.from(form.querySelectorAll('input[name="link"]'));
+        const selectAll = form.querySelector('.select-all');
+        const submit = form.querySelector('button[type="submit"]');
+
+        function updateSelection() {
+            const count = boxes.filter(box => box.checked).length;
+            selectAll.checked = count === boxes.length;
+            selectAll.indeterminate = count > 0 && count < boxes.length;
+            submit.disabled = count === 0;
+            submit.textContent = `Send ${count} selected`;
+        }
+
+        selectAll.addEventListener('change', function() {
+            boxes.forEach(box => {
+                box.checked = selectAll.checked;
+            });
+            updateSelection();
+        });
+        boxes.forEach(box => box.addEventListener('change', updateSelection));
+        updateSelection();
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            const formData = new FormData(e.target);
+            const data = {
+                method: 'addlink-batch',
+                urls: formData.getAll('link').map(index => links[index].url),
+                server: selectedServer,
+                cookies: cookies,
+                options: {},
+                plugins: {}
+            };
+
+            for (let [key, value] of formData.entries()) {
+                if (key.startsWith('options[')) {
+                    const optionKey = key.match(/options\[(.*?)\]/)[1];
+                    if (value) {
+                        data.options[optionKey] = value === 'on' ? true : value;
+                    }
+                } else if (key.startsWith('plugins[')) {
+                    const pluginKey = key.match(/plugins\[(.*?)\]/)[1];
+                    if (value) {
+                        data.plugins[pluginKey] = value;
+                    }
+                }
             }
+
+            hideModal();
+            log('Submitting batch:', data);
+
+            const loadingToastId = showToast(`Sending ${data.urls.length} torrent(s) to Deluge...`, 'info', 0);
+
+            safeSendMessage(data, function(response) {
+                removeToast(loadingToastId);
+
+                const summary = response?.value;
+                if (!summary) {
+                    showToast(`Error sending torrents: ${escapeHTML(response?.error || 'no response')}`, 'error', 5000);
+                    return;
+                }
+
+                const parts = [`${summary.added} added`];
+                if (summary.duplicates) parts.push(`${summary.duplicates} already in Deluge`);
+                if (summary.queued) parts.push(`${summary.queued} queued for retry`);
+                if (summary.failed.length) parts.push(`${summary.failed.length} failed`);
+
+                showToast(`Sent ${summary.total} torrent(s): ${parts.join(', ')}`,
+                    summary.failed.length ? 'error' : (summary.duplicates || summary.queued ? 'warning' : 'success'), 8000);
+            });
         });
+
+        const serverSelect = form.querySelector('select[name="server"]');
+        if (serverSelect) {
+            serverSelect.addEventListener('change', function() {
+                selectedServer = serverSelect.value;
+                loadServerOptions();
+            });
+        }
+
+        form.querySelector('button.cancel').addEventListener('click', hideModal);
+    }
+
+    function closeOnEscape(e) {
+        if (e.key === 'Escape') {
+            hideModal();
+        }
     }
 
     function hideModal() {
-        log('Hiding modal');
         modal.classList.remove('displayed');
         overlay.classList.remove('displayed');
         modal.innerHTML = '';
+        overlay.removeEventListener('click', hideModal);
+        document.removeEventListener('keydown', closeOnEscape);
     }
   }
 
+  function escapeHTML(string) {
+    return String(string ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes || 0;
+    let unitIndex = 0;
+
+    while (value >= 1024 && unitIndex < units.length - 1) {
+      value /= 1024;
+      unitIndex++;
+    }
+
+    return value.toFixed(unitIndex ? 1 : 0) + ' ' + units[unitIndex];
+  }
+
   function install_configurable_handlers () {
     log('Installing configurable handlers');
 
@@ -831,6 +1629,13 @@
     }
 
     log('Initializing site functionality');
+
+    // logger.js can't read the setting itself from a content script
+    safeSendMessage({
+      method: 'storage-get-enable_debug_logging'
+    }, function(response) {
+      setDebugLogging(response && response.value);
+    });
     
     // Initialize the modal container
     modal_init();
@@ -862,35 +1667,16 @@
 
       // Check if we're on Deluge UI before installing handlers
       safeSendMessage({
-        method: 'storage-get-connections'
+        method: 'webui-check',
+        url: window.location.href
       }, function(response) {
-        try {
-          var conns = response.value || [];
-          var currentUrl = new URL(window.location.href);
-          var currentPathname = currentUrl.pathname.replace(/\/$/, "");
-          
-        for (var i = 0, l = conns.length; i < l; i++) {
-            try {
-              var connUrl = new URL(conns[i].url);
-          var connPathname = connUrl.pathname.replace(/\/$/, "");
-              
-              if (currentUrl.hostname === connUrl.hostname && currentPathname === connPathname) {
-                warn('On Deluge web UI page - not installing handlers');
-                return;
-              }
-            } catch (e) {
-              warn('Error parsing connection URL:', e);
-              continue;
-            }
-          }
-          
-          // Not on Deluge UI, install handlers
-          install_configurable_handlers();
-        } catch (e) {
-          warn('Error checking Deluge UI:', e);
-          // Install handlers anyway if check fails
-          install_configurable_handlers();
+        if (response && response.value) {
+          warn('On Deluge web UI page - not installing handlers');
+          return;
         }
+
+        // Not on Deluge UI (or the check failed), install handlers
+        install_configurable_handlers();
       });
     });
   }
@@ -935,8 +1721,12 @@
     window.delugesiphonToastContainer = toastContainer;
   }
 
-  // Show a toast notification
-  function showToast(message, type = 'info', duration = 5000) {
+  // Auto-dismiss timers, cancelled while a toast is being interacted with
+  const toastTimers = {};
+
+  // Show a toast notification. actions are buttons: [{ label, onClick(toastId) }];
+  // the toast closes after a click unless onClick returns false.
+  function showToast(message, type = 'info', duration = 5000, actions = []) {
     if (!window.delugesiphonToastContainer) {
       initToastSystem();
     }
@@ -960,9 +1750,22 @@
     toast.style.transform = 'translateX(0)'; // Start in correct position
     toast.innerHTML = `
       <div class="delugesiphon-toast-icon">${icons[type] || icons.info}</div>
-      <div class="delugesiphon-toast-content">${message}</div>
+      <div class="delugesiphon-toast-content">
+        ${message}
+        ${actions.length ? `<div class="delugesiphon-toast-actions">
+          ${actions.map((action, index) => `<button type="button" data-index="${index}">${escapeHTML(action.label)}</button>`).join('')}
+        </div>` : ''}
+      </div>
       <div class="delugesiphon-toast-close">×</div>
     `;
+
+    toast.querySelectorAll('.delugesiphon-toast-actions button').forEach(button => {
+      button.addEventListener('click', () => {
+        if (actions[button.dataset.index].onClick(toastId) !== false) {
+          removeToast(toastId);
+        }
+      });
+    });
     
     // Add to container
     window.delugesiphonToastContainer.appendChild(toast);
@@ -977,7 +1780,7 @@
     
     // Auto-remove after duration
     if (duration > 0) {
-      setTimeout(() => {
+      toastTimers[toastId] = setTimeout(() => {
         removeToast(toastId);
       }, duration);
     }
@@ -990,6 +1793,8 @@
 
   // Remove a toast by ID
   function removeToast(toastId) {
+    clearTimeout(toastTimers[toastId]);
+    delete toastTimers[toastId];
     const toast = document.getElementById(toastId);
     if (!toast) return;
     
@@ -1004,6 +1809,75 @@
     }, 300);
   }
 
+  // Buttons for the actions the background offers with an add (undo, retry...)
+  function serverActions(actions) {
+    return (actions || []).map(action => ({
+      label: action.label,
+      onClick: toastId => {
+        if (action.type === 'change_label') {
+          showLabelPicker(toastId, action);
+          return false;
+        }
+
+        safeSendMessage({
+          method: 'notification-action',
+          action: action
+        }, function(response) {
+          // a retry reports its own outcome
+          if (action.type === 'retry') return;
+
+          if (response?.error) {
+            showToast(`Could not ${escapeHTML(action.label.toLowerCase())}: ${escapeHTML(response.error)}`, 'error', 5000);
+          } else if (action.type === 'undo') {
+            showToast('Torrent removed from Deluge', 'info', 3000);
+          }
+        });
+      }
+    }));
+  }
+
+  // Swaps a toast's buttons for a label select
+  function showLabelPicker(toastId, action) {
+    const container = document.getElementById(toastId)?.querySelector('.delugesiphon-toast-actions');
+    if (!container) return;
+
+    clearTimeout(toastTimers[toastId]);
+    container.textContent = 'Loading labels...';
+
+    safeSendMessage({
+      method: 'plugins-getinfo',
+      server: action.server
+    }, function(response) {
+      const labels = response?.value?.plugins?.Label || [];
+      if (!labels.length) {
+        container.textContent = 'This server has no labels';
+        return;
+      }
+
+      container.innerHTML = `
+        <select>
+          ${[''].concat(labels).map(label => `<option value="${escapeHTML(label)}">${escapeHTML(label || 'No label')}</option>`).join('')}
+        </select>
+        <button type="button">Apply</button>
+      `;
+      container.querySelector('button').addEventListener('click', () => {
+        const label = container.querySelector('select').value;
+        removeToast(toastId);
+
+        safeSendMessage({
+          method: 'notification-action',
+          action: Object.assign({}, action, { label: label })
+        }, function(labelResponse) {
+          if (labelResponse?.error) {
+            showToast(`Could not change label: ${escapeHTML(labelResponse.error)}`, 'error', 5000);
+          } else {
+            showToast(label ? `Label changed to "${escapeHTML(label)}"` : 'Label removed', 'success', 3000);
+          }
+        });
+      });
+    });
+  }
+
   // Listen for messages from the background script
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     log('Received message from background:', request);
@@ -1020,6 +1894,20 @@
       return true;
     }
     
+    if (request.method === 'show_toast') {
+      // only the top frame shows toasts, the background asks for frame 0
+      showToast(escapeHTML(request.message).replace(/\n/g, '<br/>'), request.type, request.duration, serverActions(request.actions));
+      sendResponse({ shown: true });
+      return true;
+    }
+    
+    if (request.method === 'batch_dialog') {
+      log('Showing batch dialog');
+      showBatchModal();
+      sendResponse({ success: true });
+      return true;
+    }
+    
     // Handle other messages...
     return false;
   });
@@ -0,0 +1,127 @@
+/* BENCODE */
+// Just enough of a bencode reader to sanity check downloaded .torrent files
+// and to find the raw bytes of their info dictionary.
+function bdecode ( bytes ) {
+	var pos = 0,
+		decoder = new TextDecoder( 'utf-8' ),
+		infoRange = null;
+
+	function fail ( message ) {
+		throw new Error( 'Invalid bencode at byte ' + pos + ': ' + message );
+	}
+
+	function readInt ( terminator ) {
+		var end = bytes.indexOf( terminator, pos );
+		if ( end < 0 ) fail( 'unterminated integer' );
+		var text = decoder.decode( bytes.subarray( pos, end ) );
+		if ( !/^-?\d+$/.test( text ) ) fail( 'bad integer "' + text + '"' );
+		pos = end + 1;
+		return parseInt( text, 10 );
+	}
+
+	function readString () {
+		var length = readInt( 0x3a ); // ':'
+		if ( length < 0 || pos + length > bytes.length ) fail( 'string overruns buffer' );
+		var value = decoder.decode( bytes.subarray( pos, pos + length ) );
+		pos += length;
+		return value;
+	}
+
+	function readValue ( depth ) {
+		if ( pos >= bytes.length ) fail( 'unexpected end of data' );
+		var c = bytes[ pos ];
+
+		if ( c === 0x69 ) { // 'i'
+			pos++;
+			return readInt( 0x65 );
+		}
+
+		if ( c === 0x6c ) { // 'l'
+			pos++;
+			var list = [];
+			while ( bytes[ pos ] !== 0x65 ) list.push( readValue( depth + 1 ) );
+			pos++;
+			return list;
+		}
+
+		if ( c === 0x64 ) { // 'd'
+			pos++;
+			var dict = {};
+			while ( bytes[ pos ] !== 0x65 ) {
+				var key = readString(),
+					start = pos;
+				dict[ key ] = readValue( depth + 1 );
+				// remember where the top level info dict lives, it is what gets hashed
+				if ( depth === 0 && key === 'info' ) infoRange = [ start, pos ];
+			}
+			pos++;
+			return dict;
+		}
+
+		if ( c >= 0x30 && c <= 0x39 ) return readString();
+
+		fail( 'unexpected byte 0x' + c.toString( 16 ) );
+	}
+
+	var value = readValue( 0 );
+	return { value: value, infoRange: infoRange };
+}
+
+function isTorrentFile ( bytes ) {
+	// login pages and error documents are usually served with a 200 status,
+	// so check that we actually got a bencoded dict with an info section
+	if ( !bytes || !bytes.length || bytes[ 0 ] !== 0x64 ) return false;
+	try {
+		var decoded = bdecode( bytes );
+		return !!decoded.infoRange && typeof decoded.value.info === 'object';
+	} catch ( e ) {
+		return false;
+	}
+}
+
+function bytesToBase64 ( bytes ) {
+	var binary = '',
+		chunk = 0x8000;
+	for ( var i = 0; i < bytes.length; i += chunk ) {
+		binary += String.fromCharCode.apply( null, bytes.subarray( i, i + chunk ) );
+	}
+	return btoa( binary );
+}
+
+/* INFO HASH */
+function infoHashFromMagnet ( uri ) {
+	var match = String( uri || '' ).match( /[?&]xt=urn:btih:([^&]+)/i );
+	if ( !match ) return null;
+
+	var hash = decodeURIComponent( match[ 1 ] );
+	if ( /^[0-9a-f]{40}$/i.test( hash ) ) return hash.toLowerCase();
+
+	// older magnets carry the hash base32 encoded
+	if ( /^[A-Z2-7]{32}$/i.test( hash ) ) {
+		var alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+			bits = '',
+			hex = '';
+		hash.toUpperCase().split( '' ).forEach( function ( c ) {
+			bits += ( '00000' + alphabet.indexOf( c ).toString( 2 ) ).slice( -5 );
+		} );
+		for ( var i = 0; i + 4 <= bits.length; i += 4 ) {
+			hex += parseInt( bits.substr( i, 4 ), 2 ).toString( 16 );
+		}
+		return hex;
+	}
+
+	return null;
+}
+
+function infoHashFromTorrent ( bytes ) {
+	// the info-hash is the SHA-1 of the raw bencoded info dict
+	var decoded = bdecode( bytes );
+	if ( !decoded.infoRange ) return Promise.reject( new Error( 'Torrent has no info dictionary' ) );
+
+	var info = bytes.slice( decoded.infoRange[ 0 ], decoded.infoRange[ 1 ] );
+	return crypto.subtle.digest( 'SHA-1', info ).then( function ( digest ) {
+		return Array.from( new Uint8Array( digest ) ).map( function ( b ) {
+			return ( '0' + b.toString( 16 ) ).slice( -2 );
+		} ).join( '' );
+	} );
+}
@@ -65,27 +65,13 @@ var communicator = {
   },
 
   onGlobalMessage: function (message, sender, sendResponse) {
-    // Handle cookie retrieval request first
-    if (message && message.action === "getCookies") {
-      this.handleGetCookies(message, sendResponse);
-      return true; // Indicate asynchronous response
-    }
-
-    // Process other message observers
+    // Process message observers
     for (var order_num in this._message_observers) {
-      this._message_observers[order_num](message, sender, sendResponse);
+      this._message_observers[order_num](message, sendResponse, sender);
     }
   },
 
   onPortMessage: function (req, port) {
-    // Handle cookie requests in port messages
-    if (req._data && req._data.action === "getCookies") {
-      this.handleGetCookies(req._data, function(response) {
-        port.postMessage({ '_id': req._id, '_data': response });
-      });
-      return;
-    }
-
     // if this is a tab instance, and the message isn't being
     // sent to a tab, just immediately bail.
     // elswise, if this is the controller and the message is
@@ -97,10 +83,12 @@ var communicator = {
 
     port = port || this._port;
 
+    // observers get the sender so the controller can tell content scripts
+    // from extension pages
     for (var o in this._message_observers) {
       this._message_observers[o](req._data, function sendResponse(resp) {
         port.postMessage({ '_id': req._id, '_data': resp });
-      }.bind(this));
+      }.bind(this), port.sender);
     }
   },
 
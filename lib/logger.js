@@ -3,23 +3,30 @@
   // debug flag
   let DEBUG = false;
 
-  // Initialize debug setting from storage
-  chrome.storage.local.get('enable_debug_logging', function(data) {
-    DEBUG = !!data.enable_debug_logging;
+  function setDebugLogging(enabled) {
+    DEBUG = !!enabled;
     if (DEBUG) {
       console.warn('[delugesiphon] *** Debug logging enabled ***');
     }
-  });
-
-  // Listen for changes to debug setting
-  chrome.storage.onChanged.addListener(function(changes) {
-    if (changes.enable_debug_logging) {
-      DEBUG = changes.enable_debug_logging.newValue;
-      if (DEBUG) {
-        console.warn('[delugesiphon] *** Debug logging enabled ***');
+  }
+
+  // Content scripts can't read chrome.storage.local, content_handler.js asks
+  // the background for the setting and passes it to setDebugLogging
+  const isExtensionPage = typeof location !== 'undefined' && location.href.startsWith(chrome.runtime.getURL(''));
+
+  if (isExtensionPage) {
+    // Initialize debug setting from storage
+    chrome.storage.local.get('enable_debug_logging', function(data) {
+      setDebugLogging(data.enable_debug_logging);
+    });
+
+    // Listen for changes to debug setting
+    chrome.storage.onChanged.addListener(function(changes) {
+      if (changes.enable_debug_logging) {
+        setDebugLogging(changes.enable_debug_logging.newValue);
       }
-    }
-  });
+    });
+  }
 
   function debugLog(level, ...args) {
     // Always log errors regardless of debug setting
@@ -54,6 +61,7 @@
   // Export to global scope
   global.debugLog = debugLog;
   global.log = log;
+  global.setDebugLogging = setDebugLogging;
 
 })(typeof globalThis !== 'undefined' ? globalThis : 
    typeof window !== 'undefined' ? window : 
@@ -0,0 +1,152 @@
+/* SECRETS */
+// Passphrase based encryption for passwords: AES-GCM with a PBKDF2 derived key.
+var SECRET_KDF_ITERATIONS = 250000;
+// blobs from a file are not ours to trust: far more rounds would hang the page
+var SECRET_KDF_MAX_ITERATIONS = 1000000;
+var BASE64_PATTERN = /^(?:[A-Za-z0-9+\/]{4})*(?:[A-Za-z0-9+\/]{2}==|[A-Za-z0-9+\/]{3}=)?$/;
+
+function base64Encode ( bytes ) {
+	var binary = '';
+	new Uint8Array( bytes ).forEach( function ( b ) {
+		binary += String.fromCharCode( b );
+	} );
+	return btoa( binary );
+}
+
+function base64Decode ( text ) {
+	return Uint8Array.from( atob( text ), function ( c ) { return c.charCodeAt( 0 ); } );
+}
+
+function deriveSecretKey ( passphrase, salt, iterations, extractable ) {
+	return crypto.subtle.importKey( 'raw', new TextEncoder().encode( passphrase ), 'PBKDF2', false, [ 'deriveKey' ] )
+		.then( function ( material ) {
+			return crypto.subtle.deriveKey(
+				{ name: 'PBKDF2', salt: salt, iterations: iterations || SECRET_KDF_ITERATIONS, hash: 'SHA-256' },
+				material,
+				{ name: 'AES-GCM', length: 256 },
+				!!extractable,
+				[ 'encrypt', 'decrypt' ]
+			);
+		} );
+}
+
+function encryptWithKey ( key, text ) {
+	var iv = crypto.getRandomValues( new Uint8Array( 12 ) );
+	return crypto.subtle.encrypt( { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode( text ) )
+		.then( function ( data ) {
+			return { iv: base64Encode( iv ), data: base64Encode( data ) };
+		} );
+}
+
+function decryptWithKey ( key, blob ) {
+	if ( !blob || !blob.iv || !blob.data ) return Promise.reject( new Error( 'Not an encrypted value' ) );
+
+	return crypto.subtle.decrypt( { name: 'AES-GCM', iv: base64Decode( blob.iv ) }, key, base64Decode( blob.data ) )
+		.then( function ( data ) {
+			return new TextDecoder().decode( data );
+		}, function () {
+			// AES-GCM only says the tag did not match, which almost always means a wrong passphrase
+			throw new Error( 'Wrong passphrase' );
+		} );
+}
+
+// one-off blobs (settings exports) carry their own salt, so the same passphrase can be reused
+function encryptSecret ( passphrase, text ) {
+	var salt = crypto.getRandomValues( new Uint8Array( 16 ) );
+
+	return deriveSecretKey( passphrase, salt ).then( function ( key ) {
+		return encryptWithKey( key, text );
+	} ).then( function ( blob ) {
+		return Object.assign( {
+			kdf: 'PBKDF2-SHA256',
+			iterations: SECRET_KDF_ITERATIONS,
+			salt: base64Encode( salt )
+		}, blob );
+	} );
+}
+
+// returns what is wrong with a salted blob, or null when decryptSecret can take it
+function secretBlobError ( blob ) {
+	if ( !blob || typeof blob !== 'object' ) return 'not an encrypted value';
+	var invalid = [ 'salt', 'iv', 'data' ].filter( function ( key ) {
+		return typeof blob[ key ] !== 'string' || !blob[ key ] || !BASE64_PATTERN.test( blob[ key ] );
+	} );
+	if ( invalid.length ) return invalid.join( ', ' ) + ' must be base64';
+	if ( blob.iterations !== undefined && !( Number.isInteger( blob.iterations ) &&
+		blob.iterations >= 1000 && blob.iterations <= SECRET_KDF_MAX_ITERATIONS ) ) {
+		return 'iterations must be between 1000 and ' + SECRET_KDF_MAX_ITERATIONS;
+	}
+	return null;
+}
+
+function decryptSecret ( passphrase, blob ) {
+	var error = secretBlobError( blob );
+	if ( error ) return Promise.reject( new Error( 'Encrypted value: ' + error ) );
+
+	return deriveSecretKey( passphrase, base64Decode( blob.salt ), blob.iterations ).then( function ( key ) {
+		return decryptWithKey( key, blob );
+	} );
+}
+
+/* PASSWORD VAULT */
+// With a master passphrase set, connections keep their WebUI password in
+// pass_encrypted instead of pass. The vault (salt and a check value) lives in
+// storage.local; the unlocked key only in storage.session, so it is gone when
+// the browser closes.
+var VAULT_CHECK = 'delugesiphon';
+
+function getVault () {
+	return new Promise( function ( resolve ) {
+		chrome.storage.local.get( 'password_vault', function ( data ) {
+			resolve( data.password_vault || null );
+		} );
+	} );
+}
+
+function createVault ( passphrase ) {
+	var salt = crypto.getRandomValues( new Uint8Array( 16 ) ),
+		key;
+
+	return deriveSecretKey( passphrase, salt, SECRET_KDF_ITERATIONS, true ).then( function ( derived ) {
+		key = derived;
+		return encryptWithKey( key, VAULT_CHECK );
+	} ).then( function ( check ) {
+		return {
+			vault: { kdf: 'PBKDF2-SHA256', iterations: SECRET_KDF_ITERATIONS, salt: base64Encode( salt ), check: check },
+			key: key
+		};
+	} );
+}
+
+// resolves to the vault key, or rejects with "Wrong passphrase"
+function openVault ( vault, passphrase ) {
+	return deriveSecretKey( passphrase, base64Decode( vault.salt ), vault.iterations, true ).then( function ( key ) {
+		return decryptWithKey( key, vault.check ).then( function ( check ) {
+			if ( check !== VAULT_CHECK ) throw new Error( 'Wrong passphrase' );
+			return key;
+		} );
+	} );
+}
+
+function storeVaultKey ( key ) {
+	if ( !key ) {
+		return new Promise( function ( resolve ) { chrome.storage.session.remove( 'vault_key', resolve ); } );
+	}
+	return crypto.subtle.exportKey( 'raw', key ).then( function ( raw ) {
+		return new Promise( function ( resolve ) {
+			chrome.storage.session.set( { vault_key: base64Encode( raw ) }, resolve );
+		} );
+	} );
+}
+
+// resolves to null while locked
+function loadVaultKey () {
+	return new Promise( function ( resolve ) {
+		chrome.storage.session.get( 'vault_key', function ( data ) {
+			resolve( data.vault_key || null );
+		} );
+	} ).then( function ( raw ) {
+		if ( !raw ) return null;
+		return crypto.subtle.importKey( 'raw', base64Decode( raw ), { name: 'AES-GCM' }, true, [ 'encrypt', 'decrypt' ] );
+	} );
+}
@@ -106,3 +106,157 @@ Function.prototype.curry = function () {
 		) );
 	};
 };
+
+/* CONNECTIONS */
+function normalizeConnections ( connections ) {
+	// connections used to be a single unnamed server; give every entry a
+	// stable id, a display name and make sure exactly one is the default.
+	if ( typeof connections === 'string' ) {
+		try {
+			connections = JSON.parse( connections );
+		} catch ( e ) {
+			connections = [];
+		}
+	}
+	if ( !Array.isArray( connections ) ) return [];
+
+	var normalized = connections.filter( function ( conn ) {
+		return !!conn && typeof conn === 'object';
+	} ).map( function ( conn, index ) {
+		return {
+			id: conn.id || 'server-' + index,
+			name: conn.name || 'Deluge Server ' + index,
+			url: conn.url || '',
+			pass: conn.pass || '',
+			// set instead of pass while a master passphrase protects the passwords
+			pass_encrypted: conn.pass_encrypted || null,
+			is_default: !!conn.is_default
+		};
+	} );
+
+	var defaultIndex = normalized.findIndex( function ( conn ) { return conn.is_default; } );
+	normalized.forEach( function ( conn, index ) {
+		conn.is_default = index === ( defaultIndex >= 0 ? defaultIndex : 0 );
+	} );
+
+	return normalized;
+}
+
+function findConnection ( connections, serverId ) {
+	// falls back to the default server when the id is unknown or omitted
+	var match = serverId && connections.find( function ( conn ) { return conn.id === serverId; } );
+	return match || connections.find( function ( conn ) { return conn.is_default; } ) || null;
+}
+
+/* ROUTING RULES */
+function routingRuleMatches ( rule, url, domain ) {
+	if ( !rule || !rule.pattern ) return false;
+
+	if ( rule.match === 'url' ) {
+		try {
+			return new RegExp( rule.pattern, 'i' ).test( url || '' );
+		} catch ( e ) {
+			return false;
+		}
+	}
+
+	// domain rules match the page the link was found on, including subdomains
+	var host = String( domain || '' ).toLowerCase().replace( /:\d+$/, '' ),
+		pattern = String( rule.pattern ).trim().toLowerCase().replace( /^\*?\./, '' );
+	return !!host && ( host === pattern || host.endsWith( '.' + pattern ) );
+}
+
+function findRoutingRule ( rules, url, domain ) {
+	// first match wins, so rule order matters
+	if ( !Array.isArray( rules ) ) return null;
+	return rules.find( function ( rule ) {
+		return rule.enabled !== false && routingRuleMatches( rule, url, domain );
+	} ) || null;
+}
+
+/* LABELS */
+// the Label plugin lowercases names and refuses anything outside [a-z0-9_-.]
+function normalizeLabelName ( name ) {
+	return String( name || '' ).trim().toLowerCase();
+}
+
+function validateLabelName ( name, existing ) {
+	var label = normalizeLabelName( name );
+	if ( !label ) return 'Enter a label name';
+	if ( !/^[a-z0-9_.\-]+$/.test( label ) ) return 'Labels may only use a-z, 0-9, "_", "-" and "."';
+	if ( ( existing || [] ).indexOf( label ) >= 0 ) return 'Label "' + label + '" already exists';
+	return null;
+}
+
+/* PRESETS */
+// per-torrent limits a preset may carry, in KiB/s; empty means the server default
+var PRESET_LIMITS = [ 'max_download_speed', 'max_upload_speed' ];
+
+function findPreset ( presets, presetId ) {
+	if ( !Array.isArray( presets ) ) return null;
+	return presets.find( function ( preset ) { return preset.id === presetId; } ) || null;
+}
+
+function findDefaultPreset ( presets ) {
+	if ( !Array.isArray( presets ) ) return null;
+	return presets.find( function ( preset ) { return preset.is_default; } ) || null;
+}
+
+// turns a preset into the server, plugins and options of an add request
+function presetAddParams ( preset ) {
+	var plugins = {},
+		options = {};
+
+	if ( preset.label ) plugins.Label = preset.label;
+	if ( preset.download_location ) options.download_location = preset.download_location;
+	if ( preset.move_completed_path ) {
+		options.move_completed = true;
+		options.move_completed_path = preset.move_completed_path;
+	}
+	if ( typeof preset.add_paused === 'boolean' ) options.add_paused = preset.add_paused;
+	PRESET_LIMITS.forEach( function ( key ) {
+		if ( preset[ key ] !== undefined && preset[ key ] !== null && preset[ key ] !== '' ) {
+			options[ key ] = Number( preset[ key ] );
+		}
+	} );
+
+	return { server: preset.server || null, plugins: plugins, options: options };
+}
+
+/* ADD OPTIONS */
+// add_torrent options the add dialog exposes beyond paths and paused state,
+// with the core.get_config key holding the server's default for each
+var ADVANCED_ADD_OPTIONS = {
+	max_download_speed: { label: 'Max download speed (KiB/s)', type: 'number', min: -1, config: 'max_download_speed_per_torrent' },
+	max_upload_speed: { label: 'Max upload speed (KiB/s)', type: 'number', min: -1, config: 'max_upload_speed_per_torrent' },
+	max_connections: { label: 'Max connections', type: 'integer', min: -1, config: 'max_connections_per_torrent' },
+	max_upload_slots: { label: 'Max upload slots', type: 'integer', min: -1, config: 'max_upload_slots_per_torrent' },
+	prioritize_first_last_pieces: { label: 'Prioritize first and last pieces', type: 'boolean', config: 'prioritize_first_last_pieces' },
+	sequential_download: { label: 'Sequential download', type: 'boolean', config: 'sequential_download' },
+	stop_at_ratio: { label: 'Stop seeding at ratio', type: 'boolean', config: 'stop_seed_at_ratio' },
+	stop_ratio: { label: 'Ratio', type: 'number', min: 0, config: 'stop_seed_ratio' },
+	remove_at_ratio: { label: 'Remove at ratio', type: 'boolean', config: 'remove_seed_at_ratio' },
+	auto_managed: { label: 'Auto managed', type: 'boolean', config: 'auto_managed' },
+	super_seeding: { label: 'Super seeding', type: 'boolean', config: 'super_seeding' },
+	pre_allocate_storage: { label: 'Pre-allocate disk space', type: 'boolean', config: 'pre_allocate_storage' }
+};
+
+// returns an error message for the first bad advanced option, or null
+function validateAddOptions ( options ) {
+	var keys = Object.keys( ADVANCED_ADD_OPTIONS );
+	for ( var i = 0; i < keys.length; i++ ) {
+		var key = keys[ i ],
+			spec = ADVANCED_ADD_OPTIONS[ key ],
+			value = options ? options[ key ] : undefined;
+		if ( value === undefined ) continue;
+
+		if ( spec.type === 'boolean' ) {
+			if ( typeof value !== 'boolean' ) return spec.label + ' must be on or off';
+			continue;
+		}
+		if ( typeof value !== 'number' || !isFinite( value ) ) return spec.label + ' must be a number';
+		if ( spec.type === 'integer' && Math.floor( value ) !== value ) return spec.label + ' must be a whole number';
+		if ( value < spec.min ) return spec.label + ' must be ' + spec.min + ' or more';
+	}
+	return null;
+}
@@ -30,16 +30,29 @@
     ],
     DEFAULTS: [
       { id: 'inpage_notification', def: true },
+      { id: 'notification_level', def: 'all' },
+      { id: 'channel_progress', def: 'toast' },
+      { id: 'channel_added', def: 'toast' },
+      { id: 'channel_error', def: 'toast' },
+      { id: 'channel_completed', def: 'system' },
+      { id: 'channel_failed', def: 'system' },
+      { id: 'channel_stalled', def: 'system' },
+      { id: 'notify_completed', def: true },
+      { id: 'notify_errors', def: true },
+      { id: 'notify_stalled_minutes', def: '30' },
+      { id: 'notify_only_mine', def: false },
+      { id: 'badge_mode', def: 'downloads' },
       { id: 'enable_context_menu', def: true },
       { id: 'enable_context_menu_with_options', def: true },
       { id: 'enable_keyboard_macro', def: true },
       { id: 'enable_leftclick', def: true },
+      { id: 'duplicate_action', def: 'skip' },
+      { id: 'alt_download_speed', def: '100' },
+      { id: 'alt_upload_speed', def: '20' },
       { id: 'send_cookies', def: true },
+      { id: 'browser_download_sites', def: '' },
       { id: 'link_regex', def: '' },
       { id: 'enable_debug_logging', def: false }
-    ],
-    LABEL_DEFAULTS: [
-      { id: 'default_label', def: '' }
     ]
   };
 
@@ -50,9 +63,11 @@
     var hasError = false;
     var connectionData = [];
     var connContainers = document.querySelectorAll('#connection-info .connection-container');
-    connContainers.forEach(function(container) {
+    connContainers.forEach(function(container, index) {
       var urlInput = container.querySelector('input[name="url"]');
       var passInput = container.querySelector('input[name="pass"]');
+      var nameInput = container.querySelector('input[name="name"]');
+      var defaultInput = container.querySelector('input[name="is_default"]');
       var urlVal = urlInput.value.trim();
       var passVal = passInput.value;
       // apply scrubber
@@ -65,13 +80,39 @@
         showError(urlInput, optionsConfig.CONNECTION_DEFAULTS[0].validate_message);
         hasError = true;
       }
-      connectionData.push({ url: urlVal, pass: passVal });
+      connectionData.push({
+        id: container.getAttribute('data-id'),
+        name: nameInput.value.trim() || 'Deluge Server ' + index,
+        url: urlVal,
+        pass: passVal,
+        is_default: defaultInput.checked
+      });
+    });
+
+    var rules = collectRules();
+    document.querySelectorAll('#routing-rules .rule-container').forEach(function(container, index) {
+      var error = validateRule(rules[index]);
+      if(error) {
+        showError(container.querySelector('input[name="pattern"]'), error);
+        hasError = true;
+      }
+    });
+
+    var presets = collectPresets();
+    document.querySelectorAll('#presets .rule-container').forEach(function(container, index) {
+      var error = validatePreset(presets[index]);
+      if(error) {
+        showError(container.querySelector('input[name="name"]'), error);
+        hasError = true;
+      }
     });
 
     if(!hasError) {
       // Save all data at once
       var dataToSave = {
-        connections: connectionData
+        connections: normalizeConnections(connectionData),
+        routing_rules: rules,
+        presets: presets
       };
 
       // Add default options
@@ -82,22 +123,22 @@
         }
       });
 
-      // Add label options
-      var defaultLabel = document.getElementById('default_label');
-      if(defaultLabel) {
-        dataToSave.default_label = defaultLabel.value;
-      }
-
-      // Save all data at once
-      chrome.storage.local.set(dataToSave, function() {
-        debugLog('important', 'Settings saved:', dataToSave);
-        // Verify the save by reading back
-        chrome.storage.local.get(null, function(allData) {
-          debugLog('debug', 'All settings after save:', allData);
+      // Save all data at once, once the passwords are encrypted if they need to be
+      sealPasswords(dataToSave.connections).then(function(connections) {
+        dataToSave.connections = connections;
+        chrome.storage.local.set(dataToSave, function() {
+          debugLog('important', 'Settings saved:', dataToSave);
+          // Verify the save by reading back
+          chrome.storage.local.get(null, function(allData) {
+            debugLog('debug', 'All settings after save:', allData);
+          });
+          document.getElementById('save_options').textContent = 'Save';
+          // Broadcast settings change
+          chrome.runtime.sendMessage(chrome.runtime.id, { method: 'settings-changed' });
         });
+      }).catch(function(error) {
+        showError(document.querySelector('#connection-info input[name="pass"]'), error.message);
         document.getElementById('save_options').textContent = 'Save';
-        // Broadcast settings change
-        chrome.runtime.sendMessage(chrome.runtime.id, { method: 'settings-changed' });
       });
     } else {
       document.getElementById('save_options').textContent = 'Save';
@@ -127,48 +168,54 @@
   function restoreOptions() {
     // Restore connection info
     chrome.storage.local.get('connections', function(data) {
-      var connections = [{}];
-      try {
-        if(data.connections) {
-          connections = Array.isArray(data.connections) ? data.connections : [{}];
-        }
-      } catch(e) {
-        connections = [{}];
+      var connections = normalizeConnections(data.connections);
+      if(connections.length === 0) {
+        connections = normalizeConnections([{ id: uuid4() }]);
       }
       
       var connContainer = document.getElementById('connection-info');
       connContainer.innerHTML = '';
       connections.forEach(function(conn, index) {
-        var el = renderConnectionTemplate(index, conn.url, conn.pass);
+        var el = renderConnectionTemplate(index, conn);
         connContainer.appendChild(el);
       });
     });
 
+    // Restore routing rules and presets; they need the server names for their selects
+    chrome.storage.local.get(['connections', 'routing_rules', 'presets'], function(data) {
+      var servers = normalizeConnections(data.connections);
+      var rules = Array.isArray(data.routing_rules) ? data.routing_rules : [];
+      var rulesContainer = document.getElementById('routing-rules');
+      rulesContainer.innerHTML = '';
+      rules.forEach(function(rule) {
+        rulesContainer.appendChild(renderRuleTemplate(rule, servers));
+      });
+      var presets = Array.isArray(data.presets) ? data.presets : [];
+      var presetsContainer = document.getElementById('presets');
+      presetsContainer.innerHTML = '';
+      presets.forEach(function(preset) {
+        presetsContainer.appendChild(renderPresetTemplate(preset, servers));
+      });
+    });
+
     // Restore default options
     setOptionValues(optionsConfig.DEFAULTS);
+    showVaultStatus();
 
     // For labels, if needed, we call communicator to get label info
     communicator.sendMessage({ method: 'plugins-getinfo' }, function(response) {
       var labels = response.value?.plugins?.Label || null;
+      var labelSuggestions = document.getElementById('label-suggestions');
+      labelSuggestions.innerHTML = (labels || []).map(function(label) {
+        return '<option value="' + escapeHTML(label) + '"></option>';
+      }).join('');
       var labelsContainer = document.getElementById('labels-options');
       labelsContainer.innerHTML = '';
       if(labels) {
         if(labels.length > 0) {
-          var html = '<h3>Default Label</h3>' +
-                     '<div class="select opts"><select id="default_label" class="option_field"><option value=""></option>';
-          labels.forEach(function(label) {
-            html += '<option value="' + label + '">' + label + '</option>';
-          });
-          html += '</select><br><span><small>Apply this label to all new torrents by default</small></span></div>';
-          labelsContainer.innerHTML = html;
-          // Set stored default label
-          chrome.storage.local.get('default_label', function(data) {
-            if(data.default_label) {
-              document.getElementById('default_label').value = data.default_label;
-            }
-          });
+          labelsContainer.appendChild(renderLabelManager(labels));
         } else {
-          labelsContainer.innerHTML = '<p>You have not created any labels. Visit your server\'s Web UI to make some.</p>';
+          labelsContainer.innerHTML = '<p>You have not created any labels. Pick "New label…" in the add dialog to make one.</p>';
         }
       } else {
         labelsContainer.innerHTML = '<p>Labels plugin not enabled. Visit your server\'s Web UI to enable them.</p>';
@@ -176,6 +223,89 @@
     });
   }
 
+  // Label manager: edits the Label plugin's per-label settings on the default server
+  function renderLabelManager(labels) {
+    var container = document.createElement('div');
+    container.className = 'label-manager';
+    container.innerHTML =
+      '<h3>Label Settings</h3>' +
+      '<div class="select opts"><select name="label"><option value="">Pick a label to edit</option>' +
+      labels.map(function(label) {
+        return '<option value="' + escapeHTML(label) + '">' + escapeHTML(label) + '</option>';
+      }).join('') +
+      '</select><br><span><small>Deluge applies these to every torrent given the label. The add dialog pre-fills its paths from them.</small></span></div>' +
+      '<div class="label-options-form"></div>';
+
+    var select = container.querySelector('select[name="label"]');
+    var formContainer = container.querySelector('.label-options-form');
+    select.addEventListener('change', function() {
+      formContainer.innerHTML = '';
+      if(!select.value) return;
+      var label = select.value;
+      formContainer.textContent = 'Loading...';
+      communicator.sendMessage({ method: 'label-getoptions', label: label }, function(response) {
+        if(select.value !== label) return;
+        if(response.error || !response.value) {
+          formContainer.textContent = response.error || 'This server\'s label plugin has no per-label settings.';
+          return;
+        }
+        formContainer.innerHTML = '';
+        formContainer.appendChild(renderLabelOptionsForm(label, response.value));
+      });
+    });
+
+    return container;
+  }
+
+  function renderLabelOptionsForm(label, options) {
+    function checkbox(name, text) {
+      return '<label class="label-option-check"><input type="checkbox" name="' + name + '"' + (options[name] ? ' checked' : '') + '/> ' + text + '</label>';
+    }
+    function field(name, text, type) {
+      return '<label>' + text + '<input type="' + (type || 'number') + '" name="' + name + '" value="' + escapeHTML(options[name] === undefined ? '' : options[name]) + '"/></label>';
+    }
+
+    var form = document.createElement('form');
+    form.className = 'rule-container label-options';
+    form.innerHTML =
+      checkbox('apply_max', 'Apply bandwidth limits') +
+      '<div class="rule-fields">' +
+        field('max_download_speed', 'Download KiB/s (-1 unlimited)') +
+        field('max_upload_speed', 'Upload KiB/s (-1 unlimited)') +
+        field('max_connections', 'Connections') +
+        field('max_upload_slots', 'Upload slots') +
+      '</div>' +
+      checkbox('prioritize_first_last', 'Prioritize first and last pieces') +
+      checkbox('apply_queue', 'Apply queue settings') +
+      checkbox('is_auto_managed', 'Auto managed') +
+      checkbox('stop_at_ratio', 'Stop seeding at ratio') +
+      '<div class="rule-fields">' + field('stop_ratio', 'Ratio') + '</div>' +
+      checkbox('remove_at_ratio', 'Remove when the ratio is reached') +
+      checkbox('apply_move_completed', 'Apply move on completion') +
+      checkbox('move_completed', 'Move completed downloads') +
+      '<div class="rule-fields">' + field('move_completed_path', 'Move completed to', 'text') + '</div>' +
+      checkbox('auto_add', 'Give this label to new torrents from these trackers') +
+      '<div class="rule-fields"><label>Trackers, one per line<textarea name="auto_add_trackers" rows="3">' +
+        escapeHTML((options.auto_add_trackers || []).join('\n')) + '</textarea></label></div>' +
+      '<div class="rule-actions"><button type="submit">Save Label Settings</button> <span class="label-options-status"></span></div>';
+
+    var status = form.querySelector('.label-options-status');
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      var values = {};
+      Array.prototype.forEach.call(form.elements, function(el) {
+        if(!el.name) return;
+        values[el.name] = el.type === 'checkbox' ? el.checked : el.value.trim();
+      });
+      status.textContent = 'Saving...';
+      communicator.sendMessage({ method: 'label-setoptions', label: label, options: values }, function(response) {
+        status.textContent = response.error ? 'Failed: ' + response.error : 'Saved';
+      });
+    });
+
+    return form;
+  }
+
   // Clear all stored settings
   function clearOptions() {
     chrome.storage.local.clear(function() {
@@ -192,29 +322,817 @@
   }
 
   // Renders the connection template
-  function renderConnectionTemplate(index, url, pass) {
+  function renderConnectionTemplate(index, conn) {
     var container = document.createElement('div');
     container.className = 'connection-container';
     container.setAttribute('data-index', index);
+    container.setAttribute('data-id', conn.id || uuid4());
 
-    var html = '<div class="connection-index">Deluge Server ' + index + '</div>' +
+    var html = '<div class="connection-index">' +
+      '  <span class="connection-title">' + escapeHTML(conn.name || 'Deluge Server ' + index) + '</span>' +
+      '  <label class="connection-default"><input type="radio" name="is_default"' + (conn.is_default ? ' checked' : '') + '/> Default</label>' +
+      '  <a href="#" class="remove-connection">remove</a>' +
+      '</div>' +
+      '<h3>Name</h3>' +
+      '<div class="textinput opts">' +
+      '  <label>' +
+      '    <input type="text" name="name" size="40" class="option_field" value="' + escapeHTML(conn.name || '') + '" />' +
+      '  </label>' +
+      '  <br/><span><small>ex: Seedbox</small></span>' +
+      '</div>' +
       '<h3>URL</h3>' +
       '<div class="textinput opts">' +
       '  <label>' +
-      '    <input type="text" name="url" size="60" class="option_field" value="' + (url || '') + '" />' +
+      '    <input type="text" name="url" size="60" class="option_field" value="' + escapeHTML(conn.url || '') + '" />' +
       '  </label>' +
       '  <br/><span><small>ex: http://localhost/user/deluge</small></span>' +
       '</div>' +
       '<h3>WebUI Password</h3>' +
       '<div class="textinput opts">' +
       '  <label>' +
-      '    <input type="password" name="pass" size="40" class="option_field" value="' + (pass || '') + '" />' +
+      '    <input type="password" name="pass" size="40" class="option_field" value="' + escapeHTML(conn.pass || '') + '"' +
+      (conn.pass_encrypted ? ' placeholder="encrypted, leave empty to keep"' : '') + ' />' +
       '  </label>' +
+      '</div>' +
+      '<div class="connection-test">' +
+      '  <button class="test-connection">Test Connection</button>' +
+      '  <button class="copy-report" hidden>Copy Report</button>' +
+      '  <span class="test-status"></span>' +
+      '  <div class="test-result"></div>' +
       '</div>';
     container.innerHTML = html;
+
+    container.querySelector('.test-connection').addEventListener('click', function(e) {
+      e.preventDefault();
+      testConnection(container);
+    });
+
+    container.querySelector('input[name="name"]').addEventListener('input', function(e) {
+      container.querySelector('.connection-title').textContent = e.target.value || 'Deluge Server ' + index;
+    });
+    container.querySelector('.remove-connection').addEventListener('click', function(e) {
+      e.preventDefault();
+      removeConnection(container);
+    });
     return container;
   }
 
+  /* Connection test */
+  // Tests what is in the form, saved or not; the background fills in a
+  // password left empty from the stored one
+  function testConnection(container) {
+    var field = function(name) { return container.querySelector('input[name="' + name + '"]'); };
+    var url = optionsConfig.CONNECTION_DEFAULTS[0].scrubber(field('url').value.trim());
+    var pass = field('pass').value;
+    var status = container.querySelector('.test-status');
+    var result = container.querySelector('.test-result');
+    var copy = container.querySelector('.copy-report');
+
+    status.textContent = 'Testing...';
+    result.innerHTML = '';
+    copy.hidden = true;
+    communicator.sendMessage({
+      method: 'servers-test',
+      server: container.getAttribute('data-id'),
+      name: field('name').value.trim(),
+      url: url,
+      pass: pass
+    }, function(response) {
+      if(response.error) {
+        status.textContent = 'Failed: ' + response.error;
+        return;
+      }
+
+      var report = response.value;
+      status.textContent = report.ok ? 'Everything works' : 'Failed';
+      result.innerHTML = renderConnectionReport(report);
+      copy.hidden = false;
+      copy.onclick = function(e) {
+        e.preventDefault();
+        navigator.clipboard.writeText(redactPassword(formatConnectionReport(report), pass)).then(function() {
+          status.textContent = 'Report copied';
+        }, function() {
+          status.textContent = 'Could not copy the report';
+        });
+      };
+    });
+  }
+
+  function renderConnectionReport(report) {
+    var steps = report.steps.map(function(step) {
+      return '<li class="' + (step.ok ? 'test-ok' : 'test-failed') + '">' +
+        (step.ok ? '&#10003; ' : '&#10007; ') + '<strong>' + escapeHTML(step.name) + '</strong> ' +
+        '<small>' + step.ms + ' ms</small> ' + escapeHTML(step.detail) + '</li>';
+    }).join('');
+
+    return '<ul class="test-steps">' + steps + '</ul>' +
+      '<dl class="test-facts">' + connectionFacts(report).map(function(fact) {
+        return '<dt>' + escapeHTML(fact[0]) + '</dt><dd>' + escapeHTML(fact[1]) + '</dd>';
+      }).join('') + '</dl>';
+  }
+
+  function connectionFacts(report) {
+    var yesNo = function(value) { return value ? 'yes' : 'no'; };
+    return [
+      ['Daemon version', report.daemon_version || 'unknown'],
+      ['Enabled plugins', report.plugins ? (report.plugins.join(', ') || 'none') : 'unknown'],
+      ['Free space', report.free_space === null || report.free_space < 0 ? 'unknown' :
+        formatBytes(report.free_space) + (report.download_location ? ' in ' + report.download_location : '')],
+      ['CSRF token issued', yesNo(report.csrf_token)],
+      ['Session cookie issued', yesNo(report.session_cookie)]
+    ];
+  }
+
+  // Plain text for bug reports, the copy button runs it through redactPassword
+  function formatConnectionReport(report) {
+    return [
+      'delugesiphon connection test',
+      'Extension: ' + report.extension_version,
+      'Server: ' + (report.server || '(unnamed)') + ' ' + report.url,
+      'Started: ' + report.started_at,
+      'Result: ' + (report.ok ? 'ok' : 'failed'),
+      ''
+    ].concat(report.steps.map(function(step) {
+      return (step.ok ? '[ok]     ' : '[failed] ') + step.name + ' (' + step.ms + ' ms) ' + step.detail;
+    }), report.hosts.map(function(host) {
+      return 'Host ' + host.address + ': ' + host.status + (host.version ? ' ' + host.version : '');
+    }), [''], connectionFacts(report).map(function(fact) {
+      return fact[0] + ': ' + fact[1];
+    })).join('\n');
+  }
+
+  // the background already took out the password it used, this covers the
+  // one typed into the form
+  function redactPassword(text, pass) {
+    return pass ? text.split(pass).join('*****') : text;
+  }
+
+  function formatBytes(bytes) {
+    var units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    var value = bytes || 0;
+    var unitIndex = 0;
+    while(value >= 1024 && unitIndex < units.length - 1) {
+      value /= 1024;
+      unitIndex++;
+    }
+    return value.toFixed(unitIndex ? 1 : 0) + ' ' + units[unitIndex];
+  }
+
+  // Appends an empty server block; it is persisted on the next save
+  function addConnection() {
+    var connContainer = document.getElementById('connection-info');
+    var index = connContainer.querySelectorAll('.connection-container').length;
+    var el = renderConnectionTemplate(index, { id: uuid4(), is_default: index === 0 });
+    connContainer.appendChild(el);
+    el.querySelector('input[name="name"]').focus();
+  }
+
+  function removeConnection(container) {
+    var connContainer = document.getElementById('connection-info');
+    if(connContainer.querySelectorAll('.connection-container').length <= 1) {
+      showError(container.querySelector('input[name="url"]'), 'At least one server is required.');
+      return;
+    }
+    var wasDefault = container.querySelector('input[name="is_default"]').checked;
+    container.remove();
+    if(wasDefault) {
+      connContainer.querySelector('input[name="is_default"]').checked = true;
+    }
+    saveOptions();
+  }
+
+  // Renders one routing rule block
+  function renderRuleTemplate(rule, servers) {
+    var container = document.createElement('div');
+    container.className = 'rule-container';
+    container.setAttribute('data-id', rule.id || uuid4());
+
+    var serverOptions = '<option value="">Default server</option>' + servers.map(function(server) {
+      return '<option value="' + escapeHTML(server.id) + '"' + (server.id === rule.server ? ' selected' : '') + '>' +
+        escapeHTML(server.name) + '</option>';
+    }).join('');
+    var paused = rule.add_paused === true ? 'true' : (rule.add_paused === false ? 'false' : '');
+
+    container.innerHTML = '<div class="rule-header">' +
+      '  <select name="match">' +
+      '    <option value="domain"' + (rule.match !== 'url' ? ' selected' : '') + '>Page domain</option>' +
+      '    <option value="url"' + (rule.match === 'url' ? ' selected' : '') + '>URL regex</option>' +
+      '  </select>' +
+      '  <input type="text" name="pattern" placeholder="' + escapeHTML(rulePlaceholder(rule.match)) + '" value="' + escapeHTML(rule.pattern || '') + '"/>' +
+      '  <label><input type="checkbox" name="enabled"' + (rule.enabled !== false ? ' checked' : '') + '/> Enabled</label>' +
+      '  <a href="#" class="rule-up" title="Move up">&#9650;</a>' +
+      '  <a href="#" class="rule-down" title="Move down">&#9660;</a>' +
+      '  <a href="#" class="rule-remove">remove</a>' +
+      '</div>' +
+      '<div class="rule-fields">' +
+      '  <label>Server<select name="server">' + serverOptions + '</select></label>' +
+      '  <label>Label<input type="text" name="label" list="label-suggestions" value="' + escapeHTML(rule.label || '') + '"/></label>' +
+      '  <label>Download location<input type="text" name="download_location" value="' + escapeHTML(rule.download_location || '') + '"/></label>' +
+      '  <label>Move completed to<input type="text" name="move_completed_path" value="' + escapeHTML(rule.move_completed_path || '') + '"/></label>' +
+      '  <label>State<select name="add_paused">' +
+      '    <option value=""' + (paused === '' ? ' selected' : '') + '>Server default</option>' +
+      '    <option value="true"' + (paused === 'true' ? ' selected' : '') + '>Add paused</option>' +
+      '    <option value="false"' + (paused === 'false' ? ' selected' : '') + '>Start immediately</option>' +
+      '  </select></label>' +
+      '</div>';
+
+    container.querySelector('select[name="match"]').addEventListener('change', function(e) {
+      container.querySelector('input[name="pattern"]').placeholder = rulePlaceholder(e.target.value);
+    });
+    container.querySelector('.rule-up').addEventListener('click', function(e) {
+      e.preventDefault();
+      if(container.previousElementSibling) {
+        container.parentNode.insertBefore(container, container.previousElementSibling);
+      }
+    });
+    container.querySelector('.rule-down').addEventListener('click', function(e) {
+      e.preventDefault();
+      if(container.nextElementSibling) {
+        container.parentNode.insertBefore(container.nextElementSibling, container);
+      }
+    });
+    container.querySelector('.rule-remove').addEventListener('click', function(e) {
+      e.preventDefault();
+      container.remove();
+    });
+    return container;
+  }
+
+  function rulePlaceholder(match) {
+    return match === 'url' ? '\\/download\\.php\\?id=' : 'tracker.example';
+  }
+
+  function addRule() {
+    chrome.storage.local.get('connections', function(data) {
+      var el = renderRuleTemplate({ id: uuid4() }, normalizeConnections(data.connections));
+      document.getElementById('routing-rules').appendChild(el);
+      el.querySelector('input[name="pattern"]').focus();
+    });
+  }
+
+  // Reads the rules back out of the editor, in display order
+  function collectRules() {
+    var rules = [];
+    document.querySelectorAll('#routing-rules .rule-container').forEach(function(container) {
+      var field = function(name) { return container.querySelector('[name="' + name + '"]'); };
+      var paused = field('add_paused').value;
+      rules.push({
+        id: container.getAttribute('data-id'),
+        match: field('match').value,
+        pattern: field('pattern').value.trim(),
+        enabled: field('enabled').checked,
+        server: field('server').value || null,
+        label: field('label').value.trim(),
+        download_location: field('download_location').value.trim(),
+        move_completed_path: field('move_completed_path').value.trim(),
+        add_paused: paused === '' ? null : paused === 'true'
+      });
+    });
+    return rules;
+  }
+
+  function validateRule(rule) {
+    if(!rule.pattern) return 'Required field.';
+    if(rule.match === 'url') {
+      try {
+        new RegExp(rule.pattern);
+      } catch(e) {
+        return 'Invalid regular expression: ' + e.message;
+      }
+    }
+    return null;
+  }
+
+  // Shows which rule the test link would hit and what it would do
+  function testRules() {
+    var url = document.getElementById('rule_test_url').value.trim();
+    var domain = document.getElementById('rule_test_domain').value.trim();
+    var result = document.getElementById('rule_test_result');
+    if(!domain && url) {
+      try {
+        domain = new URL(url).host;
+      } catch(e) {
+        domain = '';
+      }
+    }
+
+    var rules = collectRules();
+    var rule = findRoutingRule(rules, url, domain);
+    if(!rule) {
+      result.textContent = 'No rule matches. The link would go to the default server with its default settings.';
+      return;
+    }
+
+    var serverSelect = document.querySelectorAll('#routing-rules .rule-container')[rules.indexOf(rule)]
+      .querySelector('select[name="server"]');
+    result.textContent = 'Matched rule #' + (rules.indexOf(rule) + 1) + ' (' + rule.pattern + ')\n' +
+      'Server: ' + serverSelect.options[serverSelect.selectedIndex].text + '\n' +
+      'Label: ' + (rule.label || '(default)') + '\n' +
+      'Download location: ' + (rule.download_location || '(default)') + '\n' +
+      'Move completed to: ' + (rule.move_completed_path || '(default)') + '\n' +
+      'State: ' + (rule.add_paused === null ? '(default)' : (rule.add_paused ? 'paused' : 'started'));
+  }
+
+  // Renders one preset block
+  function renderPresetTemplate(preset, servers) {
+    var container = document.createElement('div');
+    container.className = 'rule-container';
+    container.setAttribute('data-id', preset.id || uuid4());
+
+    var serverOptions = '<option value="">Default server</option>' + servers.map(function(server) {
+      return '<option value="' + escapeHTML(server.id) + '"' + (server.id === preset.server ? ' selected' : '') + '>' +
+        escapeHTML(server.name) + '</option>';
+    }).join('');
+    var paused = preset.add_paused === true ? 'true' : (preset.add_paused === false ? 'false' : '');
+    var limit = function(key) { return preset[key] === undefined || preset[key] === null ? '' : preset[key]; };
+
+    container.innerHTML = '<div class="rule-header">' +
+      '  <input type="text" name="name" placeholder="Movies 4K" value="' + escapeHTML(preset.name || '') + '"/>' +
+      '  <label><input type="radio" name="preset_default"' + (preset.is_default ? ' checked' : '') + '/> Default</label>' +
+      '  <a href="#" class="rule-up" title="Move up">&#9650;</a>' +
+      '  <a href="#" class="rule-down" title="Move down">&#9660;</a>' +
+      '  <a href="#" class="rule-remove">remove</a>' +
+      '</div>' +
+      '<div class="rule-fields">' +
+      '  <label>Server<select name="server">' + serverOptions + '</select></label>' +
+      '  <label>Label<input type="text" name="label" list="label-suggestions" value="' + escapeHTML(preset.label || '') + '"/></label>' +
+      '  <label>Download location<input type="text" name="download_location" value="' + escapeHTML(preset.download_location || '') + '"/></label>' +
+      '  <label>Move completed to<input type="text" name="move_completed_path" value="' + escapeHTML(preset.move_completed_path || '') + '"/></label>' +
+      '  <label>State<select name="add_paused">' +
+      '    <option value=""' + (paused === '' ? ' selected' : '') + '>Server default</option>' +
+      '    <option value="true"' + (paused === 'true' ? ' selected' : '') + '>Add paused</option>' +
+      '    <option value="false"' + (paused === 'false' ? ' selected' : '') + '>Start immediately</option>' +
+      '  </select></label>' +
+      '  <label>Download limit KiB/s<input type="number" name="max_download_speed" min="-1" value="' + escapeHTML(limit('max_download_speed')) + '"/></label>' +
+      '  <label>Upload limit KiB/s<input type="number" name="max_upload_speed" min="-1" value="' + escapeHTML(limit('max_upload_speed')) + '"/></label>' +
+      '</div>';
+
+    // radios in different containers don't share a group, so keep one default by hand
+    container.querySelector('input[name="preset_default"]').addEventListener('change', function(e) {
+      document.querySelectorAll('#presets input[name="preset_default"]').forEach(function(radio) {
+        if(radio !== e.target) radio.checked = false;
+      });
+    });
+    container.querySelector('.rule-up').addEventListener('click', function(e) {
+      e.preventDefault();
+      if(container.previousElementSibling) {
+        container.parentNode.insertBefore(container, container.previousElementSibling);
+      }
+    });
+    container.querySelector('.rule-down').addEventListener('click', function(e) {
+      e.preventDefault();
+      if(container.nextElementSibling) {
+        container.parentNode.insertBefore(container.nextElementSibling, container);
+      }
+    });
+    container.querySelector('.rule-remove').addEventListener('click', function(e) {
+      e.preventDefault();
+      container.remove();
+    });
+    return container;
+  }
+
+  function addPreset() {
+    chrome.storage.local.get('connections', function(data) {
+      var el = renderPresetTemplate({ id: uuid4() }, normalizeConnections(data.connections));
+      document.getElementById('presets').appendChild(el);
+      el.querySelector('input[name="name"]').focus();
+    });
+  }
+
+  // Reads the presets back out of the editor, in display order
+  function collectPresets() {
+    var presets = [];
+    document.querySelectorAll('#presets .rule-container').forEach(function(container) {
+      var field = function(name) { return container.querySelector('[name="' + name + '"]'); };
+      var paused = field('add_paused').value;
+      var preset = {
+        id: container.getAttribute('data-id'),
+        name: field('name').value.trim(),
+        is_default: field('preset_default').checked,
+        server: field('server').value || null,
+        label: field('label').value.trim(),
+        download_location: field('download_location').value.trim(),
+        move_completed_path: field('move_completed_path').value.trim(),
+        add_paused: paused === '' ? null : paused === 'true'
+      };
+      PRESET_LIMITS.forEach(function(key) {
+        var value = field(key).value.trim();
+        preset[key] = value === '' ? null : Number(value);
+      });
+      presets.push(preset);
+    });
+    return presets;
+  }
+
+  function validatePreset(preset) {
+    if(!preset.name) return 'Required field.';
+    var invalid = PRESET_LIMITS.filter(function(key) {
+      return preset[key] !== null && (isNaN(preset[key]) || preset[key] < -1);
+    });
+    if(invalid.length) return 'Limits must be -1 (unlimited) or more.';
+    return null;
+  }
+
+  /* Settings import and export */
+  var SETTINGS_FORMAT = 'delugesiphon-settings';
+  var SETTINGS_VERSION = 1;
+  // the last file read by the import button, waiting for "Apply"
+  var pendingImport = null;
+
+  function exportableKeys() {
+    return ['connections', 'routing_rules', 'presets'].concat(optionsConfig.DEFAULTS.map(function(opt) {
+      return opt.id;
+    }));
+  }
+
+  // Writes the stored settings to a JSON file. Passwords are left out unless a
+  // passphrase is given, in which case they travel encrypted in a separate blob.
+  function exportSettings() {
+    var includePasswords = document.getElementById('backup_include_passwords').checked;
+    var passphrase = document.getElementById('backup_passphrase').value;
+    var status = document.getElementById('backup_status');
+    if(includePasswords && !passphrase) {
+      status.textContent = 'Enter a passphrase to encrypt the passwords with.';
+      return;
+    }
+
+    chrome.storage.local.get(exportableKeys(), function(data) {
+      var connections = normalizeConnections(data.connections);
+      var settings = Object.assign({}, data, { connections: connections.map(publicConnection) });
+      var file = {
+        format: SETTINGS_FORMAT,
+        version: SETTINGS_VERSION,
+        exported_at: new Date().toISOString(),
+        settings: settings
+      };
+
+      var encrypted = !includePasswords ? Promise.resolve() : revealPasswords(connections).then(function(passwords) {
+        if(!Object.keys(passwords).length) return;
+        return encryptSecret(passphrase, JSON.stringify(passwords)).then(function(blob) { file.passwords = blob; });
+      });
+      encrypted.then(function() {
+        var link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+        link.download = 'delugesiphon-settings-' + file.exported_at.slice(0, 10) + '.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        status.textContent = 'Exported' + (file.passwords ? ' with encrypted passwords.' : ' without passwords.');
+      }).catch(function(error) {
+        status.textContent = 'Export failed: ' + error.message;
+      });
+    });
+  }
+
+  // Checks an imported file against the rules saveOptions applies to the form.
+  // Returns the cleaned up settings, or throws with every problem found.
+  function validateSettingsFile(file) {
+    if(!file || file.format !== SETTINGS_FORMAT || typeof file.settings !== 'object') {
+      throw new Error('This is not a delugesiphon settings file.');
+    }
+    if(!(file.version >= 1 && file.version <= SETTINGS_VERSION)) {
+      throw new Error('Settings file version ' + file.version + ' is newer than this extension understands.');
+    }
+
+    var errors = [];
+    var settings = {};
+    var input = file.settings;
+    var urlConfig = optionsConfig.CONNECTION_DEFAULTS[0];
+
+    if(input.connections !== undefined) {
+      if(!Array.isArray(input.connections)) {
+        errors.push('connections must be a list');
+      } else {
+        settings.connections = normalizeConnections(input.connections.map(function(conn, index) {
+          var url = urlConfig.scrubber(String(conn.url || '').trim());
+          if(!url || !urlConfig.validate(url)) {
+            errors.push('Server ' + (conn.name || index) + ': ' + urlConfig.validate_message);
+          }
+          return {
+            id: conn.id || uuid4(),
+            name: String(conn.name || 'Deluge Server ' + index),
+            url: url,
+            is_default: !!conn.is_default
+          };
+        })).map(publicConnection);
+      }
+    }
+
+    if(input.routing_rules !== undefined) {
+      if(!Array.isArray(input.routing_rules)) {
+        errors.push('routing_rules must be a list');
+      } else {
+        settings.routing_rules = input.routing_rules.map(function(rule, index) {
+          var copy = importedRule(rule || {});
+          var error = validateRule(copy);
+          if(error) errors.push('Routing rule #' + (index + 1) + ': ' + error);
+          return copy;
+        });
+      }
+    }
+
+    if(input.presets !== undefined) {
+      if(!Array.isArray(input.presets)) {
+        errors.push('presets must be a list');
+      } else {
+        settings.presets = input.presets.map(function(preset, index) {
+          var copy = importedPreset(preset || {});
+          var error = validatePreset(copy);
+          if(error) errors.push('Preset ' + (copy.name || '#' + (index + 1)) + ': ' + error);
+          return copy;
+        });
+      }
+    }
+
+    if(file.passwords !== undefined) {
+      var blobError = secretBlobError(file.passwords);
+      if(blobError) errors.push('passwords: ' + blobError);
+    }
+
+    optionsConfig.DEFAULTS.forEach(function(opt) {
+      if(input[opt.id] === undefined) return;
+      if(typeof input[opt.id] !== typeof opt.def) {
+        errors.push(opt.id + ' must be a ' + typeof opt.def);
+      } else {
+        settings[opt.id] = input[opt.id];
+      }
+    });
+
+    if(errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+    return settings;
+  }
+
+  // Imported rules and presets get the same fields collectRules and
+  // collectPresets read from the form, anything else in the file is dropped
+  function importedText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+  }
+
+  function importedPaused(value) {
+    return typeof value === 'boolean' ? value : null;
+  }
+
+  function importedRule(rule) {
+    return {
+      id: importedText(rule.id) || uuid4(),
+      match: rule.match === 'url' ? 'url' : 'domain',
+      pattern: importedText(rule.pattern),
+      enabled: rule.enabled !== false,
+      server: importedText(rule.server) || null,
+      label: importedText(rule.label),
+      download_location: importedText(rule.download_location),
+      move_completed_path: importedText(rule.move_completed_path),
+      add_paused: importedPaused(rule.add_paused)
+    };
+  }
+
+  function importedPreset(preset) {
+    var copy = {
+      id: importedText(preset.id) || uuid4(),
+      name: importedText(preset.name),
+      is_default: preset.is_default === true,
+      server: importedText(preset.server) || null,
+      label: importedText(preset.label),
+      download_location: importedText(preset.download_location),
+      move_completed_path: importedText(preset.move_completed_path),
+      add_paused: importedPaused(preset.add_paused)
+    };
+    PRESET_LIMITS.forEach(function(key) {
+      var value = preset[key];
+      copy[key] = value === undefined || value === null || value === '' ? null : Number(value);
+    });
+    return copy;
+  }
+
+  function describeSetting(key, value) {
+    if(value === undefined) return '(not set)';
+    if(key === 'connections') {
+      return value.map(function(conn) { return conn.name + ' <' + conn.url + '>'; }).join(', ') || 'none';
+    }
+    if(Array.isArray(value)) return value.length + (key === 'presets' ? ' preset(s)' : ' rule(s)');
+    return JSON.stringify(value);
+  }
+
+  function previewImport(text) {
+    var preview = document.getElementById('import_preview');
+    var applyBtn = document.getElementById('apply_import');
+    pendingImport = null;
+    applyBtn.style.display = 'none';
+
+    var file, settings;
+    try {
+      file = JSON.parse(text);
+      settings = validateSettingsFile(file);
+    } catch(e) {
+      preview.textContent = 'Cannot import: ' + e.message;
+      return;
+    }
+
+    chrome.storage.local.get(Object.keys(settings), function(current) {
+      // passwords are compared separately, they never appear in the file in the clear
+      current.connections = normalizeConnections(current.connections).map(publicConnection);
+      var changes = Object.keys(settings).filter(function(key) {
+        return JSON.stringify(current[key]) !== JSON.stringify(settings[key]);
+      }).map(function(key) {
+        return key + ': ' + describeSetting(key, current[key]) + ' → ' + describeSetting(key, settings[key]);
+      });
+
+      preview.textContent = (changes.length ? 'These settings will change:\n' + changes.join('\n') : 'No settings change.') + '\n' +
+        (file.passwords ?
+          'Passwords: included and encrypted, enter the passphrase above before applying.' :
+          'Passwords: not included, servers keep their current password where the id matches.');
+      pendingImport = { settings: settings, passwords: file.passwords || null };
+      applyBtn.style.display = '';
+    });
+  }
+
+  function applyImport() {
+    if(!pendingImport) return;
+    var preview = document.getElementById('import_preview');
+    var settings = pendingImport.settings;
+    var passphrase = document.getElementById('backup_passphrase').value;
+
+    // without passwords in the file every server keeps its stored one (an empty
+    // password means "unchanged" to sealPasswords when a master passphrase is set)
+    var encrypted = pendingImport.passwords;
+    var passwords = encrypted ?
+      // inside the chain, so a broken blob ends up in the catch below
+      Promise.resolve().then(function() { return decryptSecret(passphrase, encrypted); }).then(JSON.parse) :
+      getStoredConnections().then(function(stored) {
+        var kept = {};
+        stored.forEach(function(conn) { kept[conn.id] = conn.pass; });
+        return kept;
+      });
+
+    passwords.then(function(passes) {
+      if(!settings.connections) return settings;
+      return sealPasswords(settings.connections.map(function(conn) {
+        var pass = passes && passes[conn.id];
+        return Object.assign({}, conn, { pass: typeof pass === 'string' ? pass : '' });
+      })).then(function(connections) {
+        return Object.assign({}, settings, { connections: connections });
+      });
+    }).then(function(sealed) {
+      chrome.storage.local.set(sealed, function() {
+        pendingImport = null;
+        document.getElementById('apply_import').style.display = 'none';
+        preview.textContent = 'Settings imported.';
+        restoreOptions();
+        chrome.runtime.sendMessage(chrome.runtime.id, { method: 'settings-changed' });
+      });
+    }).catch(function(error) {
+      preview.textContent = 'Cannot import the passwords: ' + error.message;
+    });
+  }
+
+  function publicConnection(conn) {
+    return { id: conn.id, name: conn.name, url: conn.url, is_default: conn.is_default };
+  }
+
+  function getStoredConnections() {
+    return new Promise(function(resolve) {
+      chrome.storage.local.get('connections', function(data) {
+        resolve(normalizeConnections(data.connections));
+      });
+    });
+  }
+
+  /* Master passphrase */
+  // Encrypts the passwords typed into the form when a master passphrase is set.
+  // An empty field keeps the stored password, because a vaulted one is never shown.
+  function sealPasswords(connections) {
+    return Promise.all([getVault(), loadVaultKey(), getStoredConnections()]).then(function(results) {
+      var vault = results[0], key = results[1], stored = results[2];
+      return Promise.all(connections.map(function(conn) {
+        var copy = Object.assign({}, conn, { pass_encrypted: null });
+        if(!vault) return copy;
+
+        copy.pass = '';
+        if(!conn.pass) {
+          var previous = stored.find(function(s) { return s.id === conn.id; });
+          copy.pass_encrypted = previous ? previous.pass_encrypted : null;
+          return copy;
+        }
+        if(!key) throw new Error('Unlock the master passphrase before changing passwords.');
+        return encryptWithKey(key, conn.pass).then(function(blob) {
+          copy.pass_encrypted = blob;
+          return copy;
+        });
+      }));
+    });
+  }
+
+  // Resolves to { server id: password } for the given stored connections
+  function revealPasswords(connections) {
+    return loadVaultKey().then(function(key) {
+      var passwords = {};
+      return Promise.all(connections.map(function(conn) {
+        if(conn.pass) {
+          passwords[conn.id] = conn.pass;
+        } else if(conn.pass_encrypted) {
+          if(!key) throw new Error('Unlock the master passphrase first.');
+          return decryptWithKey(key, conn.pass_encrypted).then(function(pass) { passwords[conn.id] = pass; });
+        }
+      })).then(function() { return passwords; });
+    });
+  }
+
+  function showVaultStatus() {
+    communicator.sendMessage({ method: 'vault-status' }, function(response) {
+      var status = response.value || {};
+      var state = !status.enabled ? 'off' : (status.locked ? 'locked' : 'unlocked');
+      document.getElementById('vault_status').textContent = {
+        off: 'Passwords are stored unencrypted in your browser profile.',
+        locked: 'Passwords are encrypted and locked. Enter the passphrase to use or change them.',
+        unlocked: 'Passwords are encrypted. They stay unlocked until the browser closes.'
+      }[state];
+      document.getElementById('vault').setAttribute('data-state', state);
+      document.getElementById('vault_error').textContent = '';
+    });
+  }
+
+  function enableVault() {
+    var passphrase = document.getElementById('vault_passphrase').value;
+    var error = document.getElementById('vault_error');
+    if(!passphrase) {
+      error.textContent = 'Enter a passphrase.';
+      return;
+    }
+    if(passphrase !== document.getElementById('vault_confirm').value) {
+      error.textContent = 'The passphrases do not match.';
+      return;
+    }
+
+    Promise.all([createVault(passphrase), getStoredConnections()]).then(function(results) {
+      var created = results[0];
+      return Promise.all(results[1].map(function(conn) {
+        var copy = Object.assign({}, conn, { pass: '', pass_encrypted: null });
+        if(!conn.pass) return copy;
+        return encryptWithKey(created.key, conn.pass).then(function(blob) {
+          copy.pass_encrypted = blob;
+          return copy;
+        });
+      })).then(function(connections) {
+        return storeVaultKey(created.key).then(function() {
+          return new Promise(function(resolve) {
+            chrome.storage.local.set({ password_vault: created.vault, connections: connections }, resolve);
+          });
+        });
+      });
+    }).then(finishVaultChange).catch(function(e) {
+      error.textContent = e.message;
+    });
+  }
+
+  function disableVault() {
+    getStoredConnections().then(function(stored) {
+      return revealPasswords(stored).then(function(passwords) {
+        var connections = stored.map(function(conn) {
+          return Object.assign({}, conn, { pass: passwords[conn.id] || '', pass_encrypted: null });
+        });
+        return new Promise(function(resolve) {
+          chrome.storage.local.set({ connections: connections }, function() {
+            chrome.storage.local.remove('password_vault', resolve);
+          });
+        });
+      });
+    }).then(function() {
+      return storeVaultKey(null);
+    }).then(finishVaultChange).catch(function(e) {
+      document.getElementById('vault_error').textContent = e.message;
+    });
+  }
+
+  function unlockVault() {
+    communicator.sendMessage({
+      method: 'vault-unlock',
+      passphrase: document.getElementById('vault_passphrase').value
+    }, function(response) {
+      if(response.error) {
+        document.getElementById('vault_error').textContent = response.error;
+        return;
+      }
+      finishVaultChange();
+    });
+  }
+
+  function finishVaultChange() {
+    document.getElementById('vault_passphrase').value = '';
+    document.getElementById('vault_confirm').value = '';
+    restoreOptions();
+    chrome.runtime.sendMessage(chrome.runtime.id, { method: 'settings-changed' });
+  }
+
+  function escapeHTML(string) {
+    return String(string)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   // Show validation error message near an element
   function showError(element, message) {
     // Remove existing error if any
@@ -240,7 +1158,7 @@
     document.getElementById('version').textContent = chrome.runtime.getManifest().version;
 
     // Event listeners for option fields
-    document.querySelectorAll('input.option_field, select.option_field').forEach(function(el) {
+    document.querySelectorAll('input.option_field, select.option_field, textarea.option_field').forEach(function(el) {
       var eventType = (el.type === 'checkbox') ? 'change' : 'blur';
       el.addEventListener(eventType, saveOptions);
     });
@@ -264,6 +1182,72 @@
       });
     }
 
+    // Add server button
+    var addConnBtn = document.getElementById('add_connection');
+    if(addConnBtn) {
+      addConnBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        addConnection();
+      });
+    }
+
+    // Routing rule buttons
+    var addRuleBtn = document.getElementById('add_rule');
+    if(addRuleBtn) {
+      addRuleBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        addRule();
+      });
+    }
+    var addPresetBtn = document.getElementById('add_preset');
+    if(addPresetBtn) {
+      addPresetBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        addPreset();
+      });
+    }
+    var testRuleBtn = document.getElementById('rule_test');
+    if(testRuleBtn) {
+      testRuleBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        testRules();
+      });
+    }
+
+    // Master passphrase
+    document.getElementById('vault_enable').addEventListener('click', function(e) {
+      e.preventDefault();
+      enableVault();
+    });
+    document.getElementById('vault_unlock').addEventListener('click', function(e) {
+      e.preventDefault();
+      unlockVault();
+    });
+    document.getElementById('vault_disable').addEventListener('click', function(e) {
+      e.preventDefault();
+      disableVault();
+    });
+
+    // Settings backup
+    document.getElementById('export_settings').addEventListener('click', function(e) {
+      e.preventDefault();
+      exportSettings();
+    });
+    var importFile = document.getElementById('import_file');
+    document.getElementById('import_settings').addEventListener('click', function(e) {
+      e.preventDefault();
+      importFile.click();
+    });
+    importFile.addEventListener('change', function() {
+      if(!importFile.files[0]) return;
+      importFile.files[0].text().then(previewImport);
+      importFile.value = '';
+    });
+    document.getElementById('apply_import').addEventListener('click', function(e) {
+      e.preventDefault();
+      applyImport();
+    });
+
     // Save button
     var saveBtn = document.getElementById('save_options');
     if(saveBtn) {
@@ -6,11 +6,72 @@
   const serverUrlDiv = getEl('server-url');
   const serverUrlLink = getEl('server-url-link');
   const reminder = getEl('reminder');
+  const serverPicker = getEl('server-picker');
+  const serverSelect = getEl('server-select');
+  const queueContainer = getEl('queue');
+  const batchAddButton = getEl('batch-add');
   const torrentsContainer = getEl('torrents') || document.createElement('div');
   
   // Refresh interval in milliseconds
   const REFRESH_INTERVAL = 3000;
   let refreshTimer = null;
+
+  // Rows have a fixed height (margin included) so only the visible ones are rendered
+  const ROW_HEIGHT = 92;
+  const ROW_BUFFER = 5;
+
+  // Sorting happens here, filtering on the server through web.update_ui's filter_dict
+  const SORTERS = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    time_added: (a, b) => a.time_added - b.time_added,
+    speed: (a, b) => (a.download_speed + a.upload_speed) - (b.download_speed + b.upload_speed),
+    ratio: (a, b) => a.ratio - b.ratio,
+    // unknown ETAs (-1 or 0) sort last
+    eta: (a, b) => (a.eta > 0 ? a.eta : Infinity) - (b.eta > 0 ? b.eta : Infinity)
+  };
+  const listState = {
+    sort: 'name',
+    descending: false,
+    state: 'All',
+    label: 'All',
+    tracker_host: 'All',
+    search: ''
+  };
+  let searchTimer = null;
+
+  const torrentControls = getEl('torrent-controls');
+  const searchInput = getEl('torrent-search');
+  const sortSelect = getEl('torrent-sort');
+  const sortDirButton = getEl('torrent-sort-dir');
+  const trackerSelect = getEl('tracker-filter');
+  const stateChips = getEl('state-chips');
+  const labelChips = getEl('label-chips');
+  const detailPanel = getEl('detail');
+  const dashboard = getEl('dashboard');
+  const sessionRates = getEl('session-rates');
+  const sessionLimits = getEl('session-limits');
+  const limitPresets = getEl('limit-presets');
+  const altSpeedButton = getEl('alt-speed');
+
+  // Quick limits in KiB/s, -1 is unlimited
+  const SPEED_PRESETS = [
+    { name: 'Unlimited', download: -1, upload: -1 },
+    { name: '↓ 5 MiB/s ↑ 1 MiB/s', download: 5120, upload: 1024 },
+    { name: '↓ 1 MiB/s ↑ 256 KiB/s', download: 1024, upload: 256 },
+    { name: '↓ 256 KiB/s ↑ 64 KiB/s', download: 256, upload: 64 }
+  ];
+
+  // Torrent shown in the detail panel, null while the list is showing
+  let detailId = null;
+  
+  // Configured servers (without credentials) and the one being displayed
+  let servers = [];
+  let selectedServer = null;
+
+  // Torrent waiting for its remove confirmation, and the last failed action per torrent
+  let confirmingRemove = null;
+  const actionErrors = {};
+  let lastTorrents = [];
   
   // If torrents container doesn't exist, create and add it
   if (!getEl('torrents')) {
@@ -23,12 +84,16 @@
     style.textContent = `
       .torrents-container {
         margin-top: 10px;
-        max-height: 300px;
+        max-height: 360px;
         overflow-y: auto;
         border-top: 1px solid #ddd;
         padding-top: 10px;
       }
       .torrent-item {
+        cursor: pointer;
+        height: ${ROW_HEIGHT - 8}px;
+        box-sizing: border-box;
+        overflow: hidden;
         margin-bottom: 8px;
         padding: 8px;
         border-radius: 4px;
@@ -61,6 +126,28 @@
       .torrent-eta {
         font-style: italic;
       }
+      .torrent-actions {
+        display: flex;
+        gap: 4px;
+        margin-top: 4px;
+      }
+      .torrent-actions button {
+        font-size: 10px;
+        padding: 1px 6px;
+        cursor: pointer;
+      }
+      .torrent-actions .confirm-text {
+        font-size: 10px;
+        align-self: center;
+        margin-right: auto;
+      }
+      .torrent-error {
+        font-size: 10px;
+        color: #c62828;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
       .no-torrents {
         text-align: center;
         color: #666;
@@ -97,9 +184,14 @@
       if (!refreshTimer) {
         refreshTimer = setInterval(() => {
           fetchTorrentData();
+          fetchQueue();
+          if (detailId) {
+            fetchDetail(false);
+          }
         }, REFRESH_INTERVAL);
       }
     } else {
+      dashboard.classList.add('hidden');
       serverUrlDiv.classList.add('hidden');
       serverUrlLink.removeAttribute('href');
       reminder.textContent = "Don't forget to configure your server info first!";
@@ -113,63 +205,537 @@
     }
   }
   
+  // Adds waiting for an unreachable server, with retry and discard controls
+  function fetchQueue() {
+    communicator.sendMessage({
+      method: "queue-list"
+    }, response => {
+      displayQueue(response?.value || []);
+    });
+  }
+
+  function displayQueue(items) {
+    if (!items.length) {
+      queueContainer.classList.add('hidden');
+      queueContainer.innerHTML = '';
+      return;
+    }
+
+    const pending = items.filter(item => item.status === 'pending').length;
+    const failed = items.length - pending;
+
+    queueContainer.innerHTML = `<div class="queue-title">Queued adds: ${pending} pending, ${failed} failed</div>` +
+      items.map(item => {
+        const status = item.status === 'failed'
+          ? `Failed after ${item.attempts} attempt(s): ${item.error || 'unknown error'}`
+          : `Waiting for server (${item.attempts} attempt(s))` + (item.error ? `: ${item.error}` : '');
+        return `
+          <div class="queue-item ${item.status}">
+            <div class="queue-info">
+              <div class="queue-name" title="${escapeHTML(item.url)}">${escapeHTML(queueItemName(item.url))}</div>
+              <div class="queue-status" title="${escapeHTML(status)}">${escapeHTML(status)}</div>
+            </div>
+            <button data-action="retry" data-id="${item.id}">Retry</button>
+            <button data-action="discard" data-id="${item.id}">Discard</button>
+          </div>
+        `;
+      }).join('');
+    queueContainer.classList.remove('hidden');
+  }
+
+  function queueItemName(url) {
+    try {
+      if (url.startsWith('magnet:')) {
+        return new URLSearchParams(url.substring(url.indexOf('?') + 1)).get('dn') || url;
+      }
+      const parsed = new URL(url);
+      return decodeURIComponent(parsed.pathname.split('/').filter(Boolean).pop() || parsed.host);
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function escapeHTML(string) {
+    return String(string || '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  queueContainer.addEventListener('click', e => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    button.disabled = true;
+    communicator.sendMessage({
+      method: 'queue-' + button.dataset.action,
+      id: button.dataset.id
+    }, () => fetchQueue());
+  });
+  
   function fetchTorrentData() {
+    fetchSessionStats();
     communicator.sendMessage({
-      method: "torrent-list"
+      method: "torrent-list",
+      server: selectedServer,
+      filters: {
+        state: listState.state,
+        label: listState.label,
+        tracker_host: listState.tracker_host,
+        search: listState.search
+      }
     }, response => {
       if (response && response.value) {
+        displayRates(response.stats || {});
+        displayFilters(response.filters || {});
         displayTorrents(response.value);
       } else {
+        lastTorrents = [];
         torrentsContainer.innerHTML = '<div class="no-torrents">Could not retrieve torrent data</div>';
       }
     });
   }
-  
-  function displayTorrents(torrents) {
-    if (!torrents || torrents.length === 0) {
-      torrentsContainer.innerHTML = '<div class="no-torrents">No active torrents</div>';
+
+  /* session dashboard */
+  // Rates come with the torrent list; limits and free space need their own call
+  function fetchSessionStats() {
+    communicator.sendMessage({
+      method: 'session-stats',
+      server: selectedServer
+    }, response => displaySession(response));
+  }
+
+  function displayRates(stats) {
+    dashboard.classList.remove('hidden');
+    sessionRates.innerHTML = `↓ ${formatSpeed(stats.download_rate)} ↑ ${formatSpeed(stats.upload_rate)}` +
+      (typeof stats.dht_nodes === 'number' ? ` · DHT ${stats.dht_nodes}` : '');
+  }
+
+  function displaySession(response) {
+    const session = response?.value;
+    if (!session) {
+      sessionLimits.textContent = response?.error || '';
       return;
     }
-    
-    // Sort torrents: downloading first, then by progress
-    torrents.sort((a, b) => {
-      // Downloading torrents first
-      if (a.state === 'Downloading' && b.state !== 'Downloading') return -1;
-      if (a.state !== 'Downloading' && b.state === 'Downloading') return 1;
-      // Then by progress
-      return b.progress - a.progress;
+
+    sessionLimits.textContent = `Limits ↓ ${formatLimit(session.max_download_speed)} ↑ ${formatLimit(session.max_upload_speed)}` +
+      (session.free_space >= 0 ? ` · ${formatSize(session.free_space)} free` : '');
+    sessionLimits.title = session.download_location || '';
+    altSpeedButton.classList.toggle('active', session.alt_speed);
+    altSpeedButton.title = session.alt_speed ? 'Alternate speed is on, click to restore the previous limits' : 'Switch to the alternate speed limits';
+  }
+
+  function formatLimit(kibPerSec) {
+    return kibPerSec > 0 ? formatSpeed(kibPerSec * 1024) : '∞';
+  }
+
+  limitPresets.innerHTML = '<option value="">Set limits…</option>' +
+    SPEED_PRESETS.map((preset, index) => `<option value="${index}">${preset.name}</option>`).join('');
+
+  limitPresets.addEventListener('change', () => {
+    const preset = SPEED_PRESETS[limitPresets.value];
+    limitPresets.value = '';
+    if (!preset) return;
+
+    communicator.sendMessage({
+      method: 'session-setlimits',
+      server: selectedServer,
+      download: preset.download,
+      upload: preset.upload
+    }, response => displaySession(response));
+  });
+
+  altSpeedButton.addEventListener('click', () => {
+    altSpeedButton.disabled = true;
+    communicator.sendMessage({
+      method: 'session-altspeed',
+      server: selectedServer
+    }, response => {
+      altSpeedButton.disabled = false;
+      displaySession(response);
     });
-    
-    // Limit to top 5 torrents
-    const topTorrents = torrents.slice(0, 5);
-    
-    // Create HTML for each torrent
-    const html = topTorrents.map(torrent => {
+  });
+
+  // Chips and the tracker list come from the counts web.update_ui returns
+  function displayFilters(filters) {
+    torrentControls.classList.toggle('hidden', !!detailId);
+    stateChips.innerHTML = renderChips('state', filters.state);
+    labelChips.innerHTML = renderChips('label', filters.label);
+
+    const trackers = filters.tracker_host || [];
+    trackerSelect.classList.toggle('hidden', trackers.length < 2);
+    trackerSelect.innerHTML = trackers.map(([host, count]) => `
+      <option value="${escapeHTML(host)}" ${host === listState.tracker_host ? 'selected' : ''}>${escapeHTML(host === 'All' ? 'All trackers' : host || 'No tracker')} (${count})</option>
+    `).join('');
+  }
+
+  function renderChips(key, counts) {
+    if (!counts || counts.length < 2) {
+      return '';
+    }
+
+    return counts
+      .filter(([value, count]) => count > 0 || value === 'All' || value === listState[key])
+      .map(([value, count]) => `
+        <button class="chip ${value === listState[key] ? 'active' : ''}" data-filter="${key}" data-value="${escapeHTML(value)}">${escapeHTML(value || 'No label')} ${count}</button>
+      `).join('');
+  }
+
+  function onFilterClick(e) {
+    const chip = e.target.closest('button[data-filter]');
+    if (!chip) return;
+
+    listState[chip.dataset.filter] = chip.dataset.value;
+    torrentsContainer.scrollTop = 0;
+    fetchTorrentData();
+  }
+
+  stateChips.addEventListener('click', onFilterClick);
+  labelChips.addEventListener('click', onFilterClick);
+
+  trackerSelect.addEventListener('change', () => {
+    listState.tracker_host = trackerSelect.value;
+    torrentsContainer.scrollTop = 0;
+    fetchTorrentData();
+  });
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      listState.search = searchInput.value;
+      torrentsContainer.scrollTop = 0;
+      fetchTorrentData();
+    }, 300);
+  });
+
+  sortSelect.addEventListener('change', () => {
+    listState.sort = sortSelect.value;
+    displayTorrents(lastTorrents);
+  });
+
+  sortDirButton.addEventListener('click', () => {
+    listState.descending = !listState.descending;
+    sortDirButton.textContent = listState.descending ? '↓' : '↑';
+    displayTorrents(lastTorrents);
+  });
+
+  function displayTorrents(torrents) {
+    const sorter = SORTERS[listState.sort] || SORTERS.name;
+    lastTorrents = (torrents || []).slice().sort((a, b) =>
+      (listState.descending ? -1 : 1) * sorter(a, b) || a.name.localeCompare(b.name));
+
+    if (lastTorrents.length === 0) {
+      torrentsContainer.innerHTML = '<div class="no-torrents">No matching torrents</div>';
+      return;
+    }
+
+    renderVisibleTorrents();
+  }
+
+  // Only the rows in (or near) the viewport exist in the DOM; spacers keep the scrollbar honest
+  function renderVisibleTorrents() {
+    const total = lastTorrents.length;
+    if (!total) return;
+
+    const viewport = torrentsContainer.clientHeight || 360;
+    const first = Math.max(0, Math.floor(torrentsContainer.scrollTop / ROW_HEIGHT) - ROW_BUFFER);
+    const last = Math.min(total, Math.ceil((torrentsContainer.scrollTop + viewport) / ROW_HEIGHT) + ROW_BUFFER);
+
+    const html = lastTorrents.slice(first, last).map(torrent => {
       const progress = Math.round(torrent.progress * 100);
       const speedDown = formatSpeed(torrent.download_speed);
       const speedUp = formatSpeed(torrent.upload_speed);
       const eta = formatEta(torrent.eta);
       
       return `
-        <div class="torrent-item">
-          <div class="torrent-name" title="${torrent.name}">${torrent.name}</div>
+        <div class="torrent-item" data-id="${torrent.id}">
+          <div class="torrent-name" title="${escapeHTML(torrent.name)}">${escapeHTML(torrent.name)}</div>
           <div class="torrent-progress">
             <div class="torrent-progress-bar" style="width: ${progress}%"></div>
           </div>
+          ${actionErrors[torrent.id] ? `
+          <div class="torrent-error" title="${escapeHTML(actionErrors[torrent.id])}">${escapeHTML(actionErrors[torrent.id])}</div>
+          ` : `
           <div class="torrent-stats">
             <div class="torrent-speed">↓ ${speedDown} ↑ ${speedUp}</div>
             <div class="torrent-state">${torrent.state}</div>
             <div class="torrent-eta">${eta}</div>
           </div>
+          `}
+          ${renderTorrentActions(torrent)}
         </div>
       `;
     }).join('');
     
-    torrentsContainer.innerHTML = html + 
-      `<div class="no-torrents">Showing ${topTorrents.length} of ${torrents.length} torrents</div>`;
+    torrentsContainer.innerHTML =
+      `<div style="height: ${first * ROW_HEIGHT}px"></div>` +
+      html +
+      `<div style="height: ${(total - last) * ROW_HEIGHT}px"></div>` +
+      `<div class="no-torrents">${total} torrent${total === 1 ? '' : 's'}</div>`;
   }
+
+  torrentsContainer.addEventListener('scroll', () => {
+    window.requestAnimationFrame(renderVisibleTorrents);
+  });
   
+  function renderTorrentActions(torrent) {
+    if (confirmingRemove === torrent.id) {
+      return `
+        <div class="torrent-actions">
+          <span class="confirm-text">Remove this torrent?</span>
+          <button data-action="remove" data-id="${torrent.id}">Keep data</button>
+          <button data-action="remove" data-remove-data="true" data-id="${torrent.id}">Delete data</button>
+          <button data-action="cancel-remove" data-id="${torrent.id}">Cancel</button>
+        </div>
+      `;
+    }
+
+    const paused = torrent.state === 'Paused';
+    return `
+      <div class="torrent-actions">
+        <button data-action="${paused ? 'resume' : 'pause'}" data-id="${torrent.id}" title="${paused ? 'Resume' : 'Pause'}">${paused ? '▶' : '❚❚'}</button>
+        <button data-action="recheck" data-id="${torrent.id}" title="Force recheck">↻</button>
+        <button data-action="queueup" data-id="${torrent.id}" title="Move up the queue">▲</button>
+        <button data-action="queuedown" data-id="${torrent.id}" title="Move down the queue">▼</button>
+        <button data-action="confirm-remove" data-id="${torrent.id}" title="Remove">✕</button>
+      </div>
+    `;
+  }
+
+  torrentsContainer.addEventListener('click', e => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) {
+      const row = e.target.closest('.torrent-item');
+      if (row) openDetail(row.dataset.id);
+      return;
+    }
+
+    const { action, id } = button.dataset;
+
+    // removal needs a second click that says what happens to the data
+    if (action === 'confirm-remove' || action === 'cancel-remove') {
+      confirmingRemove = action === 'confirm-remove' ? id : null;
+      renderVisibleTorrents();
+      return;
+    }
+
+    button.disabled = true;
+    delete actionErrors[id];
+    communicator.sendMessage({
+      method: 'torrent-' + action,
+      server: selectedServer,
+      id: id,
+      remove_data: button.dataset.removeData === 'true'
+    }, response => {
+      if (response?.error) {
+        actionErrors[id] = response.error;
+      }
+      if (action === 'remove') {
+        confirmingRemove = null;
+      }
+      fetchTorrentData();
+    });
+  });
+  
+  /* detail panel */
+  function openDetail(id) {
+    detailId = id;
+    confirmingRemove = null;
+    torrentsContainer.classList.add('hidden');
+    torrentControls.classList.add('hidden');
+    detailPanel.classList.remove('hidden');
+    detailPanel.innerHTML = '<div class="no-torrents">Loading torrent details...</div>';
+    fetchDetail(true);
+  }
+
+  function closeDetail() {
+    detailId = null;
+    detailPanel.classList.add('hidden');
+    detailPanel.innerHTML = '';
+    torrentsContainer.classList.remove('hidden');
+    torrentControls.classList.remove('hidden');
+    fetchTorrentData();
+  }
+
+  // The settings form is only rendered when opening or after saving, so
+  // refreshes don't throw away what is being edited
+  function fetchDetail(full) {
+    const id = detailId;
+    communicator.sendMessage({
+      method: 'torrent-details',
+      server: selectedServer,
+      id: id
+    }, response => {
+      if (id !== detailId) return;
+
+      if (!response?.value) {
+        if (full) {
+          detailPanel.innerHTML = `
+            <div class="detail-header"><button data-detail="back">← Back</button></div>
+            <div class="no-torrents">${escapeHTML(response?.error || 'Could not load torrent details')}</div>
+          `;
+        }
+        return;
+      }
+
+      if (full) {
+        renderDetail(response.value);
+      } else {
+        const live = detailPanel.querySelector('.detail-live');
+        if (live) live.innerHTML = renderDetailLive(response.value);
+      }
+    });
+  }
+
+  function renderDetail(torrent) {
+    detailPanel.innerHTML = `
+      <div class="detail-header">
+        <button data-detail="back">← Back</button>
+        <button data-detail="reannounce" title="Ask the trackers for more peers now">Reannounce</button>
+      </div>
+      <div class="detail-name" title="${escapeHTML(torrent.name)}">${escapeHTML(torrent.name)}</div>
+      <div class="detail-live">${renderDetailLive(torrent)}</div>
+      <form class="detail-form">
+        <div class="detail-section">Files</div>
+        <div class="detail-files">
+          ${torrent.files.map(file => `
+            <div class="detail-file">
+              <span class="detail-file-name" title="${escapeHTML(file.path)}">${escapeHTML(file.path)}</span>
+              <span class="detail-file-meta">${formatSize(file.size)} · ${Math.round((file.progress || 0) * 100)}%</span>
+              <select name="priority" data-index="${file.index}">
+                ${[[0, 'Skip'], [1, 'Low'], [4, 'Normal'], [7, 'High']].map(([value, name]) =>
+                  `<option value="${value}" ${value === file.priority ? 'selected' : ''}>${name}</option>`
+                ).join('')}
+              </select>
+            </div>
+          `).join('')}
+        </div>
+
+        <div class="detail-section">Settings <small>(-1 is unlimited)</small></div>
+        <div class="detail-settings">
+          <label>Max down (KiB/s) <input type="number" step="any" name="max_download_speed" value="${torrent.max_download_speed}"/></label>
+          <label>Max up (KiB/s) <input type="number" step="any" name="max_upload_speed" value="${torrent.max_upload_speed}"/></label>
+          <label>Max connections <input type="number" name="max_connections" value="${torrent.max_connections}"/></label>
+          <label>Max upload slots <input type="number" name="max_upload_slots" value="${torrent.max_upload_slots}"/></label>
+          <label class="wide"><input type="checkbox" name="stop_at_ratio" ${torrent.stop_at_ratio ? 'checked' : ''}/> Stop seeding at ratio
+            <input type="number" step="0.1" name="stop_ratio" value="${torrent.stop_ratio}"/></label>
+          <label class="wide"><input type="checkbox" name="remove_at_ratio" ${torrent.remove_at_ratio ? 'checked' : ''}/> Remove at ratio</label>
+          <label class="wide"><input type="checkbox" name="move_completed" ${torrent.move_completed ? 'checked' : ''}/> Move completed to</label>
+          <input type="text" class="wide" name="move_completed_path" value="${escapeHTML(torrent.move_completed_path)}"/>
+        </div>
+        <div class="detail-actions">
+          <span class="detail-status"></span>
+          <button type="submit">Save</button>
+        </div>
+      </form>
+    `;
+  }
+
+  function renderDetailLive(torrent) {
+    const peers = torrent.peers || [];
+    const trackers = torrent.trackers || [];
+    return `
+      <div class="detail-grid">
+        <span>State</span><span>${escapeHTML(torrent.state)}${torrent.message && torrent.message !== 'OK' ? ' – ' + escapeHTML(torrent.message) : ''}</span>
+        <span>Progress</span><span>${(torrent.progress || 0).toFixed(1)}% of ${formatSize(torrent.total_size)}</span>
+        <span>Speed</span><span>↓ ${formatSpeed(torrent.download_payload_rate)} ↑ ${formatSpeed(torrent.upload_payload_rate)}</span>
+        <span>ETA</span><span>${formatEta(torrent.eta)}</span>
+        <span>Ratio</span><span>${(torrent.ratio || 0).toFixed(2)} (${formatSize(torrent.total_uploaded)} up)</span>
+        <span>Seeds / peers</span><span>${torrent.num_seeds} (${torrent.total_seeds}) / ${torrent.num_peers} (${torrent.total_peers})</span>
+        <span>Saved in</span><span title="${escapeHTML(torrent.save_path)}">${escapeHTML(torrent.save_path)}</span>
+        ${torrent.label ? `<span>Label</span><span>${escapeHTML(torrent.label)}</span>` : ''}
+      </div>
+
+      <div class="detail-section">Trackers</div>
+      ${trackers.length ? trackers.map(tracker => `
+        <div class="detail-row" title="${escapeHTML(tracker.url)}">${escapeHTML(tracker.url)}</div>
+      `).join('') : '<div class="detail-row">None</div>'}
+      ${torrent.tracker_status ? `<div class="detail-row muted">${escapeHTML(torrent.tracker_status)}</div>` : ''}
+
+      <div class="detail-section">Peers (${peers.length})</div>
+      ${peers.slice(0, 50).map(peer => `
+        <div class="detail-row peer">
+          <span>${escapeHTML(peer.ip)}</span>
+          <span>${escapeHTML(peer.client)}</span>
+          <span>${Math.round((peer.progress || 0) * 100)}%</span>
+          <span>↓ ${formatSpeed(peer.down_speed)} ↑ ${formatSpeed(peer.up_speed)}</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  detailPanel.addEventListener('click', e => {
+    const button = e.target.closest('button[data-detail]');
+    if (!button) return;
+
+    if (button.dataset.detail === 'back') {
+      closeDetail();
+    } else if (button.dataset.detail === 'reannounce') {
+      button.disabled = true;
+      communicator.sendMessage({
+        method: 'torrent-reannounce',
+        server: selectedServer,
+        id: detailId
+      }, response => {
+        button.disabled = false;
+        setDetailStatus(response?.error || 'Reannounced');
+      });
+    }
+  });
+
+  detailPanel.addEventListener('submit', e => {
+    e.preventDefault();
+    const form = e.target;
+    const options = {
+      file_priorities: Array.from(form.querySelectorAll('select[name="priority"]'))
+        .sort((a, b) => a.dataset.index - b.dataset.index)
+        .map(select => Number(select.value))
+    };
+
+    form.querySelectorAll('.detail-settings input').forEach(input => {
+      // a cleared limit is left as it is rather than sent as 0
+      if (input.type === 'number' && input.value.trim() === '') {
+        return;
+      }
+      options[input.name] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+
+    form.querySelector('button[type="submit"]').disabled = true;
+    communicator.sendMessage({
+      method: 'torrent-setoptions',
+      server: selectedServer,
+      id: detailId,
+      options: options
+    }, response => {
+      if (response?.error) {
+        form.querySelector('button[type="submit"]').disabled = false;
+        setDetailStatus(response.error);
+      } else {
+        fetchDetail(true);
+      }
+    });
+  });
+
+  function setDetailStatus(message) {
+    const status = detailPanel.querySelector('.detail-status');
+    if (status) status.textContent = message;
+  }
+
   // Helper functions for formatting
+  function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes || 0;
+    let unitIndex = 0;
+
+    while (value >= 1024 && unitIndex < units.length - 1) {
+      value /= 1024;
+      unitIndex++;
+    }
+
+    return value.toFixed(unitIndex ? 1 : 0) + ' ' + units[unitIndex];
+  }
+
   function formatSpeed(bytesPerSec) {
     if (!bytesPerSec) return '0 KB/s';
     const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
@@ -204,25 +770,116 @@
     link.addEventListener('click', e => e.target.blur());
   });
 
-  // Initialize communication and get server info
-  communicator.observeConnect(() => {
-    // Function to fetch and update server info
-    const updateServerInfo = () => {
-      communicator.sendMessage({
-        method: "storage-get-connections"
-      }, response => {
-        try {
-          const serverUrl = response?.value?.[0]?.url;
-          updateUI(serverUrl);
-        } catch (e) {
-          debugLog('error', 'Error getting server URL:', e);
-          updateUI(null);
-        }
+  function renderServerPicker() {
+    if (servers.length < 2) {
+      serverPicker.classList.add('hidden');
+      return;
+    }
+
+    serverSelect.innerHTML = '';
+    servers.forEach(server => {
+      const option = document.createElement('option');
+      option.value = server.id;
+      option.textContent = server.name + (server.is_default ? ' (default)' : '');
+      option.selected = server.id === selectedServer;
+      serverSelect.appendChild(option);
+    });
+    serverPicker.classList.remove('hidden');
+  }
+
+  function getSelectedServerUrl() {
+    const server = servers.find(s => s.id === selectedServer);
+    return server ? server.url : null;
+  }
+
+  serverSelect.addEventListener('change', () => {
+    selectedServer = serverSelect.value;
+    confirmingRemove = null;
+    // labels and trackers differ between servers
+    listState.label = 'All';
+    listState.tracker_host = 'All';
+    torrentsContainer.innerHTML = '';
+    updateUI(getSelectedServerUrl());
+  });
+
+  // With a locked vault nothing can log in, so ask for the passphrase first
+  const unlockForm = getEl('unlock');
+  const lockLink = getEl('lock');
+
+  function checkVault(then) {
+    communicator.sendMessage({
+      method: 'vault-status'
+    }, response => {
+      const status = response?.value || {};
+      unlockForm.classList.toggle('hidden', !status.locked);
+      lockLink.classList.toggle('hidden', !status.enabled || status.locked);
+      if (status.locked) {
+        getEl('unlock-passphrase').focus();
+      } else {
+        then();
+      }
+    });
+  }
+
+  unlockForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const error = getEl('unlock-error');
+    error.textContent = 'Unlocking...';
+    communicator.sendMessage({
+      method: 'vault-unlock',
+      passphrase: getEl('unlock-passphrase').value
+    }, response => {
+      if (response?.error) {
+        error.textContent = response.error;
+        getEl('unlock-passphrase').select();
+        return;
+      }
+      error.textContent = '';
+      getEl('unlock-passphrase').value = '';
+      checkVault(() => {
+        updateServerInfo();
+        fetchQueue();
       });
-    };
+    });
+  });
 
+  getEl('lock-link').addEventListener('click', e => {
+    e.preventDefault();
+    communicator.sendMessage({ method: 'vault-lock' }, () => window.close());
+  });
+
+  // Function to fetch and update server info
+  const updateServerInfo = () => {
+    communicator.sendMessage({
+      method: "servers-list"
+    }, response => {
+      try {
+        servers = response?.value || [];
+        const defaultServer = servers.find(s => s.is_default);
+        selectedServer = defaultServer ? defaultServer.id : null;
+        renderServerPicker();
+        updateUI(getSelectedServerUrl());
+      } catch (e) {
+        debugLog('error', 'Error getting server URL:', e);
+        updateUI(null);
+      }
+    });
+  };
+
+  // The dialog lives in the page, so the popup only has to get out of the way
+  batchAddButton.addEventListener('click', () => {
+    communicator.sendMessage({
+      method: 'batch-open'
+    }, () => window.close());
+  });
+
+  // Initialize communication and get server info
+  communicator.observeConnect(() => {
     // Initial update
-    updateServerInfo();
+    checkVault(() => {
+      updateServerInfo();
+      fetchQueue();
+    });
     
     // Set up cleanup when popup closes
     window.addEventListener('unload', () => {